@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// bin/mock-feed.mjs
+// Tiny data feed for trying out template feeds (polling JSON/CSV or SSE) without a
+// real scoreboard/ticker backend. Scores change every few seconds.
+//
+// Usage:
+//   node bin/mock-feed.mjs [--port 8090] [--every 3000]
+//     GET /score.json   { "home": { "name", "score" }, "away": {...}, "clock": "12:34" }
+//     GET /score.csv    header row + one record (Home,Away,HomeScore,AwayScore,Clock)
+//     GET /events       Server-Sent Events, one JSON record per change
+//     GET /fail         always 500 (check backoff)
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  args: process.argv.slice(2),
+  options: {
+    port:  { type: 'string', default: '8090' },
+    every: { type: 'string', default: '3000' },
+  },
+});
+
+const state = {
+  home: { name: 'Home', score: 0 },
+  away: { name: 'Away', score: 0 },
+  clock: '00:00',
+};
+const started = Date.now();
+const clients = new Set();
+
+function tick() {
+  const secs = Math.floor((Date.now() - started) / 1000);
+  state.clock = `${String(Math.floor(secs / 60)).padStart(2, '0')}:${String(secs % 60).padStart(2, '0')}`;
+  if (Math.random() < 0.3) state[Math.random() < 0.5 ? 'home' : 'away'].score++;
+  const data = JSON.stringify(state);
+  clients.forEach(res => res.write(`data: ${data}\n\n`));
+}
+
+function csv() {
+  const q = (s) => /[",\r\n]/.test(String(s)) ? `"${String(s).replace(/"/g, '""')}"` : String(s);
+  return 'Home,Away,HomeScore,AwayScore,Clock\r\n' +
+    [state.home.name, state.away.name, state.home.score, state.away.score, state.clock].map(q).join(',') + '\r\n';
+}
+
+const server = http.createServer((req, res) => {
+  const cors = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/score.json') {
+    res.writeHead(200, { ...cors, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(state));
+  } else if (url.pathname === '/score.csv') {
+    res.writeHead(200, { ...cors, 'Content-Type': 'text/csv' });
+    res.end(csv());
+  } else if (url.pathname === '/events') {
+    res.writeHead(200, { ...cors, 'Content-Type': 'text/event-stream', Connection: 'keep-alive' });
+    res.write(`retry: 2000\ndata: ${JSON.stringify(state)}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  } else if (url.pathname === '/fail') {
+    res.writeHead(500, cors);
+    res.end('mock failure');
+  } else {
+    res.writeHead(404, cors);
+    res.end('not found');
+  }
+});
+
+setInterval(tick, Number(values.every) || 3000);
+server.listen(Number(values.port) || 8090, () => {
+  console.log(`mock feed on http://127.0.0.1:${server.address().port} (/score.json, /score.csv, /events, /fail)`);
+});
@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+// bin/rive-cg.mjs
+// Headless template generation for build pipelines. Reuses the same builders as the
+// browser UI (buildTemplate + buildCasparClientPresetXml) and writes files to disk.
+// Templates are linted first (schema-lint.mjs): warnings are printed, errors fail the file.
+//
+// Usage (or `rive-cg build ...` once installed / linked with npm):
+//   node bin/rive-cg.mjs build graphic.riv [more.riv ...]
+//     --artboard "Lower Third" --sm "State Machine 1"
+//     --in In --out Out [--next Next]
+//     [--out-event OutComplete | --out-state Hidden] [--out-timeout 3000] [--out-clear]
+//     [--event-url ws://127.0.0.1:8080/graphics]  // Rive events are also sent here
+//     [--feed-url http://host/score.json --feed-mode poll|sse --feed-format auto|json|csv
+//      --feed-interval 5000 --feed-map map.json]  // map.json: { "HomeScore": "home.score" }
+//     [--control-url ws://127.0.0.1:8080/control --control-id lt1 --control-channel 1]
+//     [--pages-transition none|trigger|outIn --pages-trigger Change --pages-end hold|loop|stop --pages-auto 0]
+//     [--aliases aliases.json]  // [{ "alias": "f0", "prop": "Title", "case": "upper" }, ...] or { "f0": "Title" }
+//     [--embed [--embed-compression none|gzip|deflate]] [--runtime canvas|webgl] [--target caspar|obs|spx]
+//     [--assets fonts/ [--embed-assets] [--asset-path ./]]  // referenced fonts/images/audio for the template
+//     [--spx-description "Lower third" --spx-server OVERLAY --spx-channel 1 --spx-layer 7
+//      --spx-webplayout 7 --spx-out manual|none|<ms> --spx-assets ./images/]  // SPX-GC template definition
+//     [--runtime-source cdn|inline|local] [--runtime-js rive.js --runtime-wasm rive.wasm] [--runtime-path ./rive/]
+//     [--width 1920 --height 1080 --fixed-size] [--fit contain] [--align center] [--dpr 0]
+//     [--debug]               // on-screen debug overlay (?debug=0 hides it at play-out)
+//     [--defaults values.json]  // { "Title": "Hello", ... } baked as defaults and preset <value>s
+//     [--schema graphic.schema.json] [--xml] [--layer 20] [--json] [-o out/]
+//     [--label "Lower Third"] [--device Server] [--channel 1] [--video-layer 10] [--stored-data] [--trigger-on-next]
+//     [--amcp]                // also write <name>.amcp.txt with CG ADD (plays on load)/UPDATE/NEXT/STOP/REMOVE
+//     [--rundown items.json]  // [{ "label": "...", "values": { ... } }, ...] -> one XML with several items
+//     [--project graphic.rivcg.json]  // builder project export; flags given on the command line win
+//
+// The ViewModel schema and state machine inputs are read from the .riv with
+// @rive-app/canvas-advanced when that package is installed (npm i @rive-app/canvas-advanced).
+// Otherwise pass --schema with a JSON file shaped like buildSchema()'s result:
+// { artboard, stateMachine, viewModelProps: [...], stateMachineInputs: [...] }.
+
+import { readFile, readdir, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { gzipSync, deflateSync } from 'node:zlib';
+import { parseArgs } from 'node:util';
+import { createRequire } from 'node:module';
+import { buildTemplate, COMPRESSIONS } from '../js/template-builders.mjs';
+import { walkViewModelInstance, scanRivEvents, describeAsset, matchAssetFiles, inputTypeName } from '../js/rive-introspect.mjs';
+import { buildCasparClientPresetXml } from '../js/preset.mjs';
+import { buildAmcpScript } from '../js/amcp.mjs';
+import { normalizeProject } from '../js/project.mjs';
+import { lintTemplate } from '../js/schema-lint.mjs';
+
+const USAGE = `Usage: rive-cg build <file.riv>... --artboard <name> --sm <name> [--in <trigger>] [--out <trigger>]
+       [--next <trigger>] [--out-event <name>] [--out-state <name>] [--out-timeout <ms>] [--out-clear]
+       [--event-url <ws|http url>] [--feed-url <url>] [--feed-mode poll|sse] [--feed-format auto|json|csv]
+       [--feed-interval <ms>] [--feed-map <file.json>]
+       [--control-url <ws url>] [--control-id <id>] [--control-channel <s>]
+       [--pages-transition none|trigger|outIn] [--pages-trigger <trigger>] [--pages-end hold|loop|stop]
+       [--pages-auto <ms>] [--aliases <file.json>] [--embed] [--embed-compression none|gzip|deflate]
+       [--runtime canvas|webgl] [--target caspar|obs|spx]
+       [--spx-description <s>] [--spx-server <s>] [--spx-channel <n>] [--spx-layer <n>] [--spx-webplayout <n>]
+       [--spx-out manual|none|<ms>] [--spx-assets <dir>] [--assets <dir>] [--embed-assets] [--asset-path <dir>]
+       [--runtime-source cdn|inline|local] [--runtime-js <file>] [--runtime-wasm <file>] [--runtime-path <dir>]
+       [--width <px>] [--height <px>] [--fixed-size] [--fit <fit>] [--align <alignment>] [--dpr <n>] [--debug]
+       [--defaults <file.json>] [--schema <file.json>] [--xml] [--layer <n>] [--json] [-o <dir>]
+       [--label <s>] [--device <s>] [--channel <n>] [--video-layer <n>] [--stored-data] [--trigger-on-next]
+       [--rundown <file.json>] [--amcp] [--project <file.rivcg.json>]`;
+
+const OPTIONS = {
+  artboard:         { type: 'string' },
+  sm:               { type: 'string' },
+  in:               { type: 'string' },
+  out:              { type: 'string' },
+  next:             { type: 'string' },
+  'out-event':      { type: 'string' },
+  'out-state':      { type: 'string' },
+  'out-timeout':    { type: 'string', default: '3000' },
+  'out-clear':      { type: 'boolean', default: false },
+  'event-url':      { type: 'string' },
+  'feed-url':       { type: 'string' },
+  'feed-mode':      { type: 'string', default: 'poll' },
+  'feed-format':    { type: 'string', default: 'auto' },
+  'feed-interval':  { type: 'string', default: '5000' },
+  'feed-map':       { type: 'string' },
+  'control-url':    { type: 'string' },
+  'control-id':     { type: 'string' },
+  'control-channel': { type: 'string' },
+  'pages-transition': { type: 'string', default: 'none' },
+  'pages-trigger':  { type: 'string' },
+  'pages-end':      { type: 'string', default: 'hold' },
+  'pages-auto':     { type: 'string', default: '0' },
+  aliases:          { type: 'string' },
+  embed:            { type: 'boolean', default: false },
+  'embed-compression': { type: 'string', default: 'none' },
+  assets:           { type: 'string' },
+  'embed-assets':   { type: 'boolean', default: false },
+  'asset-path':     { type: 'string', default: './' },
+  runtime:          { type: 'string', default: 'canvas' },
+  target:           { type: 'string', default: 'caspar' },
+  'spx-description': { type: 'string' },
+  'spx-server':     { type: 'string', default: 'OVERLAY' },
+  'spx-channel':    { type: 'string', default: '1' },
+  'spx-layer':      { type: 'string', default: '1' },
+  'spx-webplayout': { type: 'string' },
+  'spx-out':        { type: 'string', default: 'manual' },
+  'spx-assets':     { type: 'string', default: './images/' },
+  'runtime-source': { type: 'string', default: 'cdn' },
+  'runtime-js':     { type: 'string' },
+  'runtime-wasm':   { type: 'string' },
+  'runtime-path':   { type: 'string' },
+  width:            { type: 'string', default: '1920' },
+  height:           { type: 'string', default: '1080' },
+  'fixed-size':     { type: 'boolean', default: false },
+  fit:              { type: 'string', default: 'contain' },
+  align:            { type: 'string', default: 'center' },
+  dpr:              { type: 'string', default: '0' },
+  debug:            { type: 'boolean', default: false },
+  defaults:         { type: 'string' },
+  schema:           { type: 'string' },
+  xml:              { type: 'boolean', default: false },
+  layer:            { type: 'string', default: '20' },
+  json:             { type: 'boolean', default: false },
+  label:            { type: 'string' },
+  device:           { type: 'string' },
+  channel:          { type: 'string' },
+  'video-layer':    { type: 'string' },
+  'stored-data':    { type: 'boolean', default: false },
+  'trigger-on-next': { type: 'boolean', default: false },
+  rundown:          { type: 'string' },
+  amcp:             { type: 'boolean', default: false },
+  project:          { type: 'string' },
+  'out-dir':        { type: 'string', short: 'o', default: '.' },
+  help:             { type: 'boolean', short: 'h', default: false },
+};
+
+// Alias file: [{ alias, prop, ... }] or the shorthand { alias: prop }
+function normalizeAliases(json) {
+  if (Array.isArray(json)) return json;
+  return Object.entries(json || {}).map(([alias, v]) => (typeof v === 'string' ? { alias, prop: v } : { alias, ...v }));
+}
+
+const filenameBase = (name) => path.basename(String(name || 'graphic')).replace(/\.[^.]+$/, '');
+
+// Read the ViewModel schema and state machine inputs straight from the .riv using the low-level runtime.
+async function schemaFromRiv(bytes, artboard, stateMachine) {
+  // The runtime probes for a canvas and the user agent at start-up; headless is fine without either
+  globalThis.document ??= { createElement: () => ({ getContext: () => null }) };
+  globalThis.navigator ??= { userAgent: 'node' };
+
+  let RiveCanvas, wasmBinary;
+  try {
+    ({ default: RiveCanvas } = await import('@rive-app/canvas-advanced'));
+    wasmBinary = await readFile(createRequire(import.meta.url).resolve('@rive-app/canvas-advanced/rive.wasm'));
+  } catch {
+    throw new Error('Cannot read the .riv in Node: install @rive-app/canvas-advanced or pass --schema <file.json>.');
+  }
+  const rive = await RiveCanvas({ wasmBinary });
+  const assets = [];
+  const loader = new rive.CustomFileAssetLoader({
+    loadContents(asset, assetBytes) { assets.push(describeAsset(asset, assetBytes)); return false; },
+  });
+  const file = await rive.load(new Uint8Array(bytes), loader, false);
+  if (!file) throw new Error('Failed to load Rive file');
+
+  const ab = artboard ? file.artboardByName(artboard) : file.defaultArtboard();
+  if (!ab) throw new Error(`Artboard not found: ${artboard}`);
+  const smName = stateMachine || (ab.stateMachineCount() > 0 ? ab.stateMachineByIndex(0).name : '');
+
+  const vm = typeof file.defaultArtboardViewModel === 'function' ? file.defaultArtboardViewModel(ab) : null;
+  const vmi = vm ? vm.defaultInstance() : null;
+  const viewModelProps = vmi ? walkViewModelInstance(vmi, '', [], 0, vm.getProperties()) : [];
+  const stateMachineInputs = [];
+  const smDef = smName ? ab.stateMachineByName(smName) : null;
+  if (smDef) {
+    const smi = new rive.StateMachineInstance(smDef, ab);
+    for (let i = 0; i < smi.inputCount(); i++) {
+      const input = smi.input(i);
+      const type = inputTypeName(input.type, rive.SMIInput);
+      const value = type === 'boolean' ? !!input.asBool().value
+        : type === 'number' ? Number(input.asNumber().value) || 0 : null;
+      stateMachineInputs.push({ name: input.name, type, value });
+    }
+    smi.delete?.();
+  }
+  const events = (scanRivEvents(bytes) || {})[ab.name] || [];
+  const referenced = assets.filter(a => a.referenced)
+    .map(({ name, uniqueFilename, extension, type }) => ({ name, uniqueFilename, extension, type }));
+  return { artboard: ab.name || artboard || '', stateMachine: smName, viewModelProps, stateMachineInputs, events, assets: referenced };
+}
+
+// Project export -> the option values it stands for (same names as OPTIONS)
+function projectValues(project) {
+  const t = project.settings || {};
+  const p = project.preset || {};
+  const o = {
+    artboard: project.artboard || undefined,
+    sm: project.stateMachine || undefined,
+    in: t.casparTriggers?.in || undefined,
+    out: t.casparTriggers?.out || undefined,
+    next: t.casparTriggers?.next || undefined,
+    'out-event': t.outComplete?.event,
+    'out-state': t.outComplete?.state,
+    'out-timeout': t.outComplete?.timeoutMs != null ? String(t.outComplete.timeoutMs) : undefined,
+    'out-clear': t.outComplete?.clear,
+    'event-url': t.eventCallbackUrl,
+    'feed-url': t.feed?.url,
+    'feed-mode': t.feed?.mode,
+    'feed-format': t.feed?.format,
+    'feed-interval': t.feed?.intervalMs != null ? String(t.feed.intervalMs) : undefined,
+    'feed-map': t.feed?.map && Object.keys(t.feed.map).length ? t.feed.map : undefined, // object, not a path
+    'control-url': t.control?.url,
+    'control-id': t.control?.id,
+    'control-channel': t.control?.channel,
+    'pages-transition': t.pages?.transition,
+    'pages-trigger': t.pages?.trigger,
+    'pages-end': t.pages?.atEnd,
+    'pages-auto': t.pages?.autoMs != null ? String(t.pages.autoMs) : undefined,
+    aliases: t.fieldAliases?.length ? t.fieldAliases : undefined, // array, not a path
+    'spx-description': t.spx?.description,
+    'spx-server': t.spx?.playserver,
+    'spx-channel': t.spx?.playchannel,
+    'spx-layer': t.spx?.playlayer,
+    'spx-webplayout': t.spx?.webplayout,
+    'spx-out': t.spx?.out,
+    'spx-assets': t.spx?.assetFolder,
+    embed: t.embed,
+    'embed-compression': t.embedCompression || undefined,
+    'embed-assets': t.assets?.embed,
+    'asset-path': t.assets?.path,
+    runtime: t.runtime,
+    'runtime-source': t.runtimeSource,
+    'runtime-path': t.runtimePath,
+    width: t.width != null ? String(t.width) : undefined,
+    height: t.height != null ? String(t.height) : undefined,
+    'fixed-size': t.fillViewport != null ? !t.fillViewport : undefined,
+    fit: t.fit,
+    align: t.alignment,
+    dpr: t.pixelRatio != null ? String(t.pixelRatio) : undefined,
+    debug: t.debug,
+    layer: p.layer != null ? String(p.layer) : undefined,
+    json: p.sendAsJson,
+    label: p.label,
+    device: p.deviceName,
+    channel: p.channel,
+    'video-layer': p.videoLayer,
+    'stored-data': p.useStoredData,
+    'trigger-on-next': p.triggerOnNext,
+  };
+  Object.keys(o).forEach(k => { if (o[k] === undefined || o[k] === '') delete o[k]; });
+  return o;
+}
+
+async function loadSchema(rivBytes, values, projectSchema) {
+  if (projectSchema && !values.schema) {
+    return { ...projectSchema, artboard: values.artboard || projectSchema.artboard || '', stateMachine: values.sm || projectSchema.stateMachine || '' };
+  }
+  if (values.schema) {
+    const json = JSON.parse(await readFile(values.schema, 'utf8'));
+    const schema = json.schema || json; // accept a bare schema or an object holding one
+    return {
+      ...schema,
+      artboard: values.artboard || schema.artboard || '',
+      stateMachine: values.sm || schema.stateMachine || '',
+    };
+  }
+  return schemaFromRiv(rivBytes, values.artboard, values.sm);
+}
+
+// Referenced assets found in --assets <dir> -> buildTemplate's assets.files
+async function assetFiles(schema, values) {
+  const list = schema.assets || [];
+  if (!values.assets || !list.length) return { files: [], missing: list.map(a => a.uniqueFilename) };
+  const matched = matchAssetFiles(list, await readdir(values.assets));
+  const files = [];
+  for (const [name, file] of Object.entries(matched)) {
+    files.push({
+      name,
+      file,
+      base64: values['embed-assets'] ? (await readFile(path.join(values.assets, file))).toString('base64') : '',
+    });
+  }
+  return { files, missing: list.map(a => a.uniqueFilename).filter(n => !matched[n]) };
+}
+
+async function buildOne(rivFile, values, runtimeBundle, vmDefaults, rundown, projectSchema) {
+  const bytes = await readFile(rivFile);
+  const schema = await loadSchema(bytes, values, projectSchema);
+  const target = ['obs', 'spx'].includes(values.target) ? values.target : 'caspar';
+  const baseName = filenameBase(rivFile);
+  const aliases = typeof values.aliases === 'string'
+    ? normalizeAliases(JSON.parse(await readFile(values.aliases, 'utf8')))
+    : values.aliases;
+  const feedMap = typeof values['feed-map'] === 'string'
+    ? JSON.parse(await readFile(values['feed-map'], 'utf8'))
+    : values['feed-map'];
+  const assets = await assetFiles(schema, values);
+  if (assets.missing.length) {
+    console.warn(`${rivFile}: referenced assets not supplied (loaded from ${values['asset-path']} at play-out): ${assets.missing.join(', ')}`);
+  }
+
+  // gzip / zlib-wrapped deflate: what DecompressionStream("gzip" | "deflate") reads
+  const compression = COMPRESSIONS.includes(values['embed-compression']) ? values['embed-compression'] : '';
+  const embedded = !values.embed ? null
+    : compression === 'gzip' ? gzipSync(bytes, { level: 9 })
+    : compression === 'deflate' ? deflateSync(bytes, { level: 9 })
+    : bytes;
+
+  const opts = {
+    target,
+    runtime: values.runtime,
+    embed: values.embed,
+    embedCompression: compression,
+    base64: embedded ? embedded.toString('base64') : '',
+    rivPath: path.basename(rivFile),
+    runtimeSource: values['runtime-source'],
+    runtimePath: values['runtime-path'],
+    ...runtimeBundle,
+    width: Number(values.width),
+    height: Number(values.height),
+    fillViewport: !values['fixed-size'],
+    fit: values.fit,
+    alignment: values.align,
+    pixelRatio: Number(values.dpr),
+    debug: values.debug,
+    casparTriggers: {
+      in:   values.in || null,
+      out:  values.out || null,
+      next: values.next || null,
+    },
+    outComplete: {
+      event: values['out-event'],
+      state: values['out-state'],
+      timeoutMs: Number(values['out-timeout']),
+      clear: values['out-clear'],
+    },
+    eventCallbackUrl: values['event-url'],
+    feed: {
+      url: values['feed-url'],
+      mode: values['feed-mode'],
+      format: values['feed-format'],
+      intervalMs: Number(values['feed-interval']),
+      map: feedMap,
+    },
+    fieldAliases: aliases,
+    pages: {
+      transition: values['pages-transition'],
+      trigger: values['pages-trigger'],
+      atEnd: values['pages-end'],
+      autoMs: Number(values['pages-auto']),
+    },
+    control: {
+      url: values['control-url'],
+      id: values['control-id'],
+      channel: values['control-channel'],
+    },
+    spx: {
+      description: values['spx-description'],
+      playserver: values['spx-server'],
+      playchannel: values['spx-channel'],
+      playlayer: values['spx-layer'],
+      webplayout: values['spx-webplayout'],
+      out: values['spx-out'],
+      assetFolder: values['spx-assets'],
+    },
+    assets: { embed: values['embed-assets'], path: values['asset-path'], files: assets.files },
+    vmDefaults,
+  };
+  const issues = lintTemplate(schema, opts);
+  issues.filter(i => i.level === 'warning').forEach(i => console.warn(`${rivFile}: warning: ${i.message}`));
+  const errors = issues.filter(i => i.level === 'error');
+  if (errors.length) throw new Error(errors.map(i => i.message).join(' '));
+  const html = buildTemplate(schema, opts);
+
+  const outDir = values['out-dir'];
+  await mkdir(outDir, { recursive: true });
+  const htmlName = `${target}-${baseName}.html`;
+  const written = [path.join(outDir, htmlName)];
+  await writeFile(written[0], html);
+
+  if (values.xml) {
+    const xml = buildCasparClientPresetXml(schema, htmlName, {
+      layer: Number(values.layer),
+      sendAsJson: values.json,
+      label: values.label,
+      deviceName: values.device,
+      channel: values.channel,
+      videoLayer: values['video-layer'],
+      useStoredData: values['stored-data'],
+      triggerOnNext: values['trigger-on-next'],
+      values: vmDefaults,
+      items: rundown,
+      aliases,
+    });
+    const xmlPath = path.join(outDir, htmlName.replace(/\.html$/i, '.xml'));
+    await writeFile(xmlPath, xml);
+    written.push(xmlPath);
+  }
+
+  if (values.amcp) {
+    const script = buildAmcpScript(schema, htmlName, {
+      channel: values.channel,
+      videoLayer: values['video-layer'],
+      layer: values.layer,
+      sendAsJson: values.json,
+      values: vmDefaults,
+      aliases,
+    });
+    const amcpPath = path.join(outDir, htmlName.replace(/\.html$/i, '.amcp.txt'));
+    await writeFile(amcpPath, script);
+    written.push(amcpPath);
+  }
+  return written;
+}
+
+async function main(argv) {
+  const { values: args, positionals, tokens } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, tokens: true });
+  const [cmd, ...files] = positionals;
+
+  // Project settings replace the defaults, not what was typed on the command line
+  let values = args;
+  let project = null;
+  if (args.project) {
+    project = normalizeProject(JSON.parse(await readFile(args.project, 'utf8')));
+    const given = {};
+    tokens.filter(t => t.kind === 'option').forEach(t => { given[t.name] = args[t.name]; });
+    values = { ...args, ...projectValues(project), ...given };
+  }
+  if (values.help || cmd !== 'build' || !files.length) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  let runtimeBundle = {};
+  if (values['runtime-source'] === 'inline') {
+    if (!values['runtime-js'] || !values['runtime-wasm']) {
+      console.error('--runtime-source inline needs --runtime-js and --runtime-wasm');
+      return 1;
+    }
+    runtimeBundle = {
+      runtimeJs: await readFile(values['runtime-js'], 'utf8'),
+      runtimeWasmBase64: (await readFile(values['runtime-wasm'])).toString('base64'),
+    };
+  }
+
+  let vmDefaults = values.defaults ? JSON.parse(await readFile(values.defaults, 'utf8')) : undefined;
+  let rundown = values.rundown ? JSON.parse(await readFile(values.rundown, 'utf8')) : undefined;
+  if (project) {
+    if (!vmDefaults && Object.keys(project.vmDefaults).length) vmDefaults = project.vmDefaults;
+    if (!rundown && project.rundown.length) rundown = project.rundown;
+  }
+
+  let failed = 0;
+  for (const f of files) {
+    try {
+      const written = await buildOne(f, values, runtimeBundle, vmDefaults, rundown, project?.schema);
+      written.forEach(w => console.log(`wrote ${w}`));
+    } catch (e) {
+      failed++;
+      console.error(`${f}: ${e.message || e}`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (e) => { console.error(e.message || e); process.exitCode = 1; }
+);
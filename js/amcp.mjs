@@ -0,0 +1,88 @@
+// public/js/amcp.mjs
+// Raw AMCP commands (CG ADD/UPDATE/PLAY/NEXT/STOP/REMOVE) for a template, ready to
+// send over TCP from automation or a test harness. Payloads use the same ids and
+// values as the client preset (preset.mjs), as Caspar XML or flat JSON.
+
+import { downloadBlob } from './utils.mjs';
+import { templateDataRows } from './preset.mjs';
+
+function xmlAttr(s) {
+  return String(s ?? '').replace(/[&<>'"\r\n]/g, ch => (
+    {'&':'&amp;','<':'&lt;','>':'&gt;',"'":'&apos;','"':'&quot;','\r':'&#13;','\n':'&#10;'}[ch]
+  ));
+}
+
+// Quote an AMCP parameter: backslashes, quotes and line breaks are escaped
+export function amcpQuote(s) {
+  return '"' + String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n') + '"';
+}
+
+// Caspar <templateData> payload, as CasparCG Client sends it
+export function templateDataXml(rows) {
+  return '<templateData>' + rows.map(r =>
+    `<componentData id="${xmlAttr(r.id)}"><data id="text" value="${xmlAttr(r.value)}"/></componentData>`
+  ).join('') + '</templateData>';
+}
+
+// Flat JSON payload ({ "id": "value", ... })
+export function templateDataJson(rows) {
+  const o = {};
+  rows.forEach(r => { o[r.id] = r.value; });
+  return JSON.stringify(o);
+}
+
+// Channel / layer number: the default when unset, an error when not a whole number >= min
+function amcpNumber(value, fallback, what, min) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`AMCP ${what} must be a whole number of ${min} or more (got "${value}")`);
+  return n;
+}
+
+/**
+ * Build the AMCP commands for one template instance.
+ * @param {object} schema - { viewModelProps: [...] }
+ * @param {string} htmlFilename - e.g. "caspar-MyLowerThird.html"
+ * @param {object} opts - { channel=1, videoLayer=20, layer=1, playOnLoad=true, sendAsJson=false, values?, templateName?, aliases? }
+ *   layer is the CG (flash) layer inside the video layer; templateName overrides the
+ *   name derived from htmlFilename (e.g. "graphics/caspar-MyLowerThird"). With playOnLoad
+ *   ADD plays as soon as the data is in (ADD ... 1 data); PLAY is still there to replay after STOP.
+ * @returns {{ add, update, play, next, stop, remove }} one command string each
+ * @throws if channel, videoLayer or layer is not a whole number
+ */
+export function buildAmcpCommands(schema, htmlFilename, opts = {}) {
+  const channel = amcpNumber(opts.channel, 1, 'channel', 1);
+  const videoLayer = amcpNumber(opts.videoLayer, 20, 'video layer', 0);
+  const layer = amcpNumber(opts.layer, 1, 'layer', 0);
+  const playOnLoad = opts.playOnLoad !== false;
+  const name = opts.templateName || String(htmlFilename || 'template.html').replace(/\.html$/i, '');
+  const rows = templateDataRows(schema, opts.values, opts.aliases);
+  const data = amcpQuote(opts.sendAsJson ? templateDataJson(rows) : templateDataXml(rows));
+  const cg = `CG ${channel}-${videoLayer}`;
+
+  return {
+    add:    `${cg} ADD ${layer} ${amcpQuote(name)} ${playOnLoad ? 1 : 0} ${data}`,
+    update: `${cg} UPDATE ${layer} ${data}`,
+    play:   `${cg} PLAY ${layer}`,
+    next:   `${cg} NEXT ${layer}`,
+    stop:   `${cg} STOP ${layer}`,
+    remove: `${cg} REMOVE ${layer}`,
+  };
+}
+
+// All commands in play-out order, CRLF-terminated as AMCP expects. PLAY is only listed
+// when ADD doesn't already play on load.
+export function buildAmcpScript(schema, htmlFilename, opts = {}) {
+  const c = buildAmcpCommands(schema, htmlFilename, opts);
+  const play = opts.playOnLoad === false ? [c.play] : [];
+  return [c.add, ...play, c.update, c.next, c.stop, c.remove].join('\r\n') + '\r\n';
+}
+
+export function downloadAmcpScript(schema, htmlFilename, opts = {}) {
+  const script = buildAmcpScript(schema, htmlFilename, opts);
+  const outName = String(htmlFilename || 'template.html').replace(/\.html$/i, '') + '.amcp.txt';
+  downloadBlob(new Blob([script], { type: 'text/plain' }), outName);
+}
@@ -1,8 +1,16 @@
 // public/js/app.mjs
-import { inspectContents, buildSchema } from './rive-introspect.mjs';
-import { buildTemplate } from './template-builders.mjs';
-import { downloadBlob } from './utils.mjs';
-import { downloadCasparClientPresetXml } from './preset.mjs';
+import { inspectContents, buildSchema, matchAssetFiles } from './rive-introspect.mjs';
+import { buildTemplate, riveRuntimeUrls } from './template-builders.mjs';
+import { downloadBlob, bytesToBase64, compressBytes } from './utils.mjs';
+import {
+  downloadCasparClientPresetXml, parseCasparClientPresetXml, matchPresetValues, templateDataRows
+} from './preset.mjs';
+import { downloadAmcpScript } from './amcp.mjs';
+import { createPreview, argbToHex } from './preview.mjs';
+import { lintTemplate } from './schema-lint.mjs';
+import {
+  PROJECT_VERSION, hashFile, downloadProject, readProjectFile, saveRecentProject, loadRecentProject
+} from './project.mjs';
 
 // ---------- DOM helpers ----------
 const $ = (sel) => document.querySelector(sel);
@@ -15,7 +23,23 @@ const show = (el, yes = true) => { if (el) el.style.display = yes ? '' : 'none';
 let elFile, elFileStatus, elDetected, elArtSel, elSmSel;
 let elVmBody;
 let elInTrig, elOutTrig, elNextTrig;
-let elEmbed, elBtnHtml, elBtnXml, elStatus;
+let elEmbed, elEmbedCompress, elBtnHtml, elBtnXml, elBtnObs, elBtnSpx, elBtnAmcp, elStatus, elLint;
+let elObsDrive, elObsAutoplay;
+let elRtInlineOpts, elRtLocalOpts, elRtJsFile, elRtWasmFile, elRtPath;
+let elStageW, elStageH, elStageFill, elFitSel, elAlignSel, elDpr, elDbgOverlay;
+let elVmReset;
+let elPsLabel, elPsDevice, elPsChannel, elPsVideoLayer, elPsLayer, elPsJson, elPsStored, elPsTriggerNext;
+let elRdAdd, elRdTable, elRdBody, elPsImport, elPsImportReport;
+let elProjExport, elProjImport, elProjStatus;
+let elOutEvent, elOutState, elOutTimeout, elOutClear;
+let elEventUrl, elEvList, elRivEvents, elPvEvent;
+let elFeedUrl, elFeedMode, elFeedFormat, elFeedInterval, elFeedMap;
+let elCtlUrl, elCtlId, elCtlChannel;
+let elSpxDesc, elSpxServer, elSpxChannel, elSpxLayer, elSpxWebLayer, elSpxOut, elSpxAssets;
+let elPgTransition, elPgTrigger, elPgEnd, elPgAuto;
+let elAliasTable, elAliasBody, elAliasAdd, elAliasCaspar;
+let elAssetBox, elAssetBody, elAssetFiles, elAssetEmbed, elAssetPath;
+let elPreviewStage, elPreviewCanvas, elPvIn, elPvOut, elPvNext, elPvRestart;
 
 // ---------- State ----------
 let file = null;
@@ -23,21 +47,67 @@ let blobURL = null;
 let contents = null; // result of contents()
 let schema = null;   // result of buildSchema()
 let baseName = 'graphic';
+const runtimeBundles = {}; // runtime -> { js, wasmBase64 } fetched from the CDN
+let vmEdits = {};          // ViewModel path -> edited value (string), baked as vmDefaults
+let rundown = [];          // preset items: { label, values }
+let pendingPreset = null;  // imported preset items waiting for a schema
+let pendingProject = null; // imported project waiting for its .riv
+let aliases = [];          // [{ alias, prop, case, decimals, thousands, prefix, suffix }]
+let fileHash = '';         // SHA-256 of the current .riv (project recall key)
+let assetFiles = {};       // referenced asset uniqueFilename -> supplied File
+let preview = null;        // result of createPreview()
+let previewToken = 0;      // bumps on every (re)start so stale loads are dropped
 
 // ---------- Utils ----------
 const revokeBlob = () => { try { if (blobURL) URL.revokeObjectURL(blobURL); } catch {} blobURL = null; };
 const filenameBase = (name) => String(name || 'graphic').replace(/\.[^.]+$/,'');
 async function fileToBase64(f) {
-  const buf = await f.arrayBuffer();
-  let s = ''; const bytes = new Uint8Array(buf);
-  for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
-  return btoa(s);
+  return bytesToBase64(new Uint8Array(await f.arrayBuffer()));
+}
+function enableDownloads(yes) {
+  [elBtnHtml, elBtnXml, elBtnObs, elBtnSpx, elBtnAmcp, elRdAdd].forEach(el => enable(el, yes));
 }
 function currentRuntime() {
   const picked = document.querySelector('input[name="rt"]:checked');
   const v = picked ? picked.value : 'canvas';
   return (String(v).toLowerCase() === 'webgl') ? 'webgl' : 'canvas';
 }
+function currentRuntimeSource() {
+  const picked = document.querySelector('input[name="rtSrc"]:checked');
+  const v = picked ? picked.value : 'cdn';
+  return ['inline', 'local'].includes(v) ? v : 'cdn';
+}
+function syncRuntimeSourceUi() {
+  const src = currentRuntimeSource();
+  show(elRtInlineOpts, src === 'inline');
+  show(elRtLocalOpts, src === 'local');
+}
+// Which of rive.js / rive.wasm the user picked for inlining
+function pickedRuntimeFiles() {
+  return { js: !!elRtJsFile?.files?.[0], wasm: !!elRtWasmFile?.files?.[0] };
+}
+// Runtime JS + WASM for inlining: user-picked files win, else fetch from the CDN (cached).
+// Only one picked file is an error rather than a silent switch to the CDN build.
+async function loadRuntimeBundle(runtime) {
+  const jsFile = elRtJsFile?.files?.[0];
+  const wasmFile = elRtWasmFile?.files?.[0];
+  if (!jsFile !== !wasmFile) throw new Error(`Pick ${jsFile ? 'rive.wasm' : 'rive.js'} as well to inline your own runtime files.`);
+  if (jsFile && wasmFile) {
+    return { js: await jsFile.text(), wasmBase64: await fileToBase64(wasmFile) };
+  }
+  if (runtimeBundles[runtime]) return runtimeBundles[runtime];
+  const urls = riveRuntimeUrls(runtime);
+  try {
+    const [jsRes, wasmRes] = await Promise.all([fetch(urls.js), fetch(urls.wasm)]);
+    if (!jsRes.ok || !wasmRes.ok) throw new Error(`HTTP ${jsRes.status}/${wasmRes.status}`);
+    const js = await jsRes.text();
+    const wasmBase64 = await fileToBase64(await wasmRes.blob());
+    return (runtimeBundles[runtime] = { js, wasmBase64 });
+  } catch (e) {
+    console.error(e);
+    throw new Error('CDN unreachable: pick rive.js and rive.wasm to inline.');
+  }
+}
 function populateSelect(sel, items, { placeholder = "— select —" } = {}) {
   if (!sel) return;
   sel.innerHTML = '';
@@ -53,18 +123,89 @@ function populateSelect(sel, items, { placeholder = "— select —" } = {}) {
   });
   sel.value = ''; // never auto-select
 }
+async function fileToDataUrl(f) {
+  return `data:${f.type || 'application/octet-stream'};base64,${await fileToBase64(f)}`;
+}
+// Inline editor for one ViewModel value; edits go to the live preview and are
+// remembered in vmEdits so the downloads ship them as defaults
+function vmEditor(p) {
+  const onChange = (fn) => (e) => { Promise.resolve().then(() => fn(e.target)).catch(console.error); };
+  const edit = (v) => { vmEdits[p.name] = String(v); };
+  const current = Object.prototype.hasOwnProperty.call(vmEdits, p.name) ? vmEdits[p.name] : null;
+  let el;
+  if (p.type === 'string' || p.type === 'number') {
+    el = document.createElement('input');
+    el.type = p.type === 'number' ? 'number' : 'text';
+    if (p.type === 'number') el.step = 'any';
+    el.value = current ?? (p.value == null ? '' : String(p.value));
+    on(el, 'input', onChange(t => {
+      // A cleared number is no edit: keep the file's default rather than baking 0
+      if (p.type === 'number' && !t.value.trim()) {
+        delete vmEdits[p.name];
+        if (p.value != null) preview?.set(p.name, 'number', p.value);
+        return;
+      }
+      edit(t.value);
+      preview?.set(p.name, p.type, t.value);
+    }));
+  } else if (p.type === 'boolean') {
+    el = document.createElement('input');
+    el.type = 'checkbox';
+    el.setAttribute('role', 'switch');
+    el.checked = current != null ? current === 'true' : !!p.value;
+    on(el, 'change', onChange(t => { edit(t.checked); preview?.set(p.name, 'boolean', t.checked); }));
+  } else if (p.type === 'color') {
+    el = document.createElement('input');
+    el.type = 'color';
+    el.value = current ?? argbToHex(p.value);
+    on(el, 'input', onChange(t => { edit(t.value); preview?.set(p.name, 'color', t.value); }));
+  } else if (p.type === 'enum') {
+    el = document.createElement('select');
+    (p.options || []).forEach((v) => {
+      const o = document.createElement('option');
+      o.value = v;
+      o.textContent = v;
+      el.appendChild(o);
+    });
+    el.value = current ?? p.value ?? '';
+    on(el, 'change', onChange(t => { edit(t.value); preview?.set(p.name, 'enum', t.value); }));
+  } else if (p.type === 'image') {
+    el = document.createElement('input');
+    el.type = 'file';
+    el.accept = 'image/*';
+    el.title = current ? 'Image set' : '';
+    on(el, 'change', onChange(async (t) => {
+      const f = t.files?.[0] || null;
+      if (f) edit(await fileToDataUrl(f)); else delete vmEdits[p.name];
+      await preview?.setImageFile(p.name, f);
+    }));
+  } else if (p.type === 'trigger') {
+    el = document.createElement('button');
+    el.className = 'outline';
+    el.textContent = 'Fire';
+    on(el, 'click', () => preview?.fire(p.name));
+  } else {
+    el = document.createElement('span');
+    el.className = 'muted';
+    el.textContent = p.value == null ? '' : String(p.value);
+  }
+  return el;
+}
 function updateVmTable(list) {
   if (!elVmBody) return;
   elVmBody.innerHTML = '';
   (list || []).forEach((p) => {
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${p.name}</td><td>${p.type}</td><td>${p.value == null ? '' : String(p.value)}</td>`;
+    const type = p.type === 'enum' && p.options?.length ? `enum (${p.options.join(' | ')})` : p.type;
+    tr.innerHTML = `<td>${p.name}</td><td>${type}</td><td></td>`;
+    tr.lastChild.appendChild(vmEditor(p));
     elVmBody.appendChild(tr);
   });
 }
-function populateTriggers(list) {
-  const names = (list || []).filter(p => p.type === 'trigger').map(p => p.name);
-  [elInTrig, elOutTrig, elNextTrig].forEach(sel => populateSelect(sel, names, { placeholder: '— optional —' }));
+// ViewModel triggers, then trigger inputs of the state machine (legacy files)
+function populateTriggers(list, inputs) {
+  const names = [...new Set([...(list || []), ...(inputs || [])].filter(p => p.type === 'trigger').map(p => p.name))];
+  [elInTrig, elOutTrig, elNextTrig, elPgTrigger].forEach(sel => populateSelect(sel, names, { placeholder: '— optional —' }));
 }
 function getArtboardNames(c) {
   const arr = (c && Array.isArray(c.artboards)) ? c.artboards : (c?.data?.artboards || []);
@@ -79,12 +220,351 @@ function getStateMachineNamesForArtboard(c, artName) {
   return sms.map(s => s?.name ?? s).filter(Boolean);
 }
 
+// Rive events defined on an artboard ([{name, type}], see inspectContents)
+function getEventsForArtboard(c, artName) {
+  const abs = Array.isArray(c?.artboards) ? c.artboards : (c?.data?.artboards || []);
+  const ab = abs.find(a => (a?.name ?? a) === artName);
+  return Array.isArray(ab?.events) ? ab.events : [];
+}
+function showEvents(events) {
+  const names = (events || []).map(e => e.name);
+  setText(elEvList, names.length ? `Rive events: ${names.join(', ')}` : '');
+  if (elRivEvents) {
+    elRivEvents.innerHTML = '';
+    names.forEach(n => { const o = document.createElement('option'); o.value = n; elRivEvents.appendChild(o); });
+  }
+}
+
+// ---------- Referenced assets ----------
+const referencedAssets = () => (contents?.assets || []).filter(a => a.referenced);
+
+function renderAssets() {
+  const list = referencedAssets();
+  show(elAssetBox, list.length > 0);
+  if (!elAssetBody) return;
+  elAssetBody.innerHTML = '';
+  list.forEach((a) => {
+    const tr = document.createElement('tr');
+    const f = assetFiles[a.uniqueFilename];
+    [a.name, a.type, a.uniqueFilename, f ? f.name : 'missing'].forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 2) td.className = 'mono';
+      if (i === 3 && !f) td.className = 'muted';
+      tr.appendChild(td);
+    });
+    elAssetBody.appendChild(tr);
+  });
+}
+
+function addAssetFiles(files) {
+  const list = Array.from(files || []);
+  const matched = matchAssetFiles(referencedAssets(), list.map(f => f.name));
+  Object.entries(matched).forEach(([key, name]) => { assetFiles[key] = list.find(f => f.name === name); });
+  const used = new Set(Object.values(matched));
+  const unused = list.filter(f => !used.has(f.name)).map(f => f.name);
+  setText(elStatus, unused.length ? `No referenced asset matches: ${unused.join(', ')}` : 'Asset files added.');
+  renderAssets();
+  refreshLint();
+  startPreview();
+}
+
+// Supplied asset files for buildTemplate ({ name, file, base64 }) plus the names still missing
+async function templateAssetFiles(embed) {
+  const files = [];
+  const missing = [];
+  for (const a of referencedAssets()) {
+    const f = assetFiles[a.uniqueFilename];
+    if (!f) { missing.push(a.uniqueFilename); continue; }
+    files.push({ name: a.uniqueFilename, file: f.name, base64: embed ? await fileToBase64(f) : '' });
+  }
+  return { files, missing };
+}
+
+async function previewAssetBytes() {
+  const out = {};
+  for (const [key, f] of Object.entries(assetFiles)) out[key] = new Uint8Array(await f.arrayBuffer());
+  return out;
+}
+
+// ---------- Lint ----------
+function showLint(issues) {
+  if (!elLint) return;
+  elLint.innerHTML = '';
+  issues.forEach((i) => {
+    const li = document.createElement('li');
+    li.className = `lint-${i.level}`;
+    li.textContent = `${i.level === 'error' ? 'Error' : 'Warning'}: ${i.message}`;
+    elLint.appendChild(li);
+  });
+  show(elLint, issues.length > 0);
+}
+
+// Base64 size of what the template would embed, before any file is read
+function estimatedEmbedBytes(settings) {
+  const b64 = (n) => Math.ceil(n / 3) * 4;
+  let n = settings.embed && file ? b64(file.size) : 0;
+  const bundle = runtimeBundles[settings.runtime];
+  if (settings.runtimeSource === 'inline' && bundle) n += bundle.js.length + bundle.wasmBase64.length;
+  if (settings.assets.embed) Object.values(assetFiles).forEach((f) => { n += b64(f.size); });
+  return n;
+}
+
+// Lint the current schema + settings into the UI; returns the issues
+function refreshLint() {
+  if (!schema) { showLint([]); return []; }
+  const settings = templateSettings();
+  const issues = lintTemplate(schema, { ...settings, embeddedBytes: estimatedEmbedBytes(settings), runtimeFiles: pickedRuntimeFiles() });
+  showLint(issues);
+  return issues;
+}
+// Downloads stop on lint errors (shown above the buttons)
+function blockedByLint() {
+  if (!refreshLint().some(i => i.level === 'error')) return false;
+  setText(elStatus, 'Fix the errors listed above the download buttons first.');
+  return true;
+}
+
+function syncPreviewButtons() {
+  enable(elPvIn, !!(preview && elInTrig?.value));
+  enable(elPvOut, !!(preview && elOutTrig?.value));
+  enable(elPvNext, !!(preview && elNextTrig?.value));
+  enable(elPvRestart, !!preview);
+}
+
+// ---------- Preset / rundown ----------
+function presetFields() {
+  return {
+    label: elPsLabel?.value.trim() || undefined,
+    deviceName: elPsDevice?.value.trim() || undefined,
+    channel: elPsChannel?.value || undefined,
+    videoLayer: elPsVideoLayer?.value || undefined,
+    layer: Number(elPsLayer?.value) || 20,
+    sendAsJson: !!(elPsJson && elPsJson.checked),
+    useStoredData: !!(elPsStored && elPsStored.checked),
+    triggerOnNext: !!(elPsTriggerNext && elPsTriggerNext.checked),
+  };
+}
+function writePresetFields(f = {}) {
+  const setVal = (el, v) => { if (el) el.value = v ?? ''; };
+  const setChk = (el, v) => { if (el) el.checked = !!v; };
+  setVal(elPsLabel, f.label);
+  setVal(elPsDevice, f.deviceName);
+  setVal(elPsChannel, f.channel);
+  setVal(elPsVideoLayer, f.videoLayer);
+  setVal(elPsLayer, f.layer ?? 20);
+  setChk(elPsJson, f.sendAsJson);
+  setChk(elPsStored, f.useStoredData);
+  setChk(elPsTriggerNext, f.triggerOnNext);
+}
+function presetOptions() {
+  return {
+    ...presetFields(),
+    values: vmEdits,
+    items: rundown.length ? rundown : undefined,
+    aliases: activeAliases(),
+  };
+}
+
+function renderRundown() {
+  if (!elRdBody) return;
+  elRdBody.innerHTML = '';
+  rundown.forEach((it, i) => {
+    const tr = document.createElement('tr');
+    const summary = Object.keys(it.values).map(k => `${k}=${String(it.values[k]).slice(0, 40)}`).join(', ');
+    tr.innerHTML = `<td></td><td class="mono"></td><td></td>`;
+    tr.children[0].textContent = it.label;
+    tr.children[1].textContent = summary || '(defaults)';
+    const rm = document.createElement('button');
+    rm.className = 'outline secondary';
+    rm.textContent = 'Remove';
+    on(rm, 'click', () => { rundown.splice(i, 1); renderRundown(); });
+    tr.children[2].appendChild(rm);
+    elRdBody.appendChild(tr);
+  });
+  show(elRdTable, rundown.length > 0);
+}
+
+// ---------- Field aliases ----------
+const ALIAS_CASES = [['', 'as is'], ['upper', 'UPPER'], ['lower', 'lower'], ['title', 'Title']];
+
+function renderAliases() {
+  if (!elAliasBody) return;
+  elAliasBody.innerHTML = '';
+  const settable = (schema?.viewModelProps || []).filter(p => p.type !== 'list');
+  const props = settable.map(p => p.name);
+  const typeOf = Object.fromEntries(settable.map(p => [p.name, p.type]));
+  aliases.forEach((a, i) => {
+    const tr = document.createElement('tr');
+    const cell = (el) => { const td = document.createElement('td'); td.appendChild(el); tr.appendChild(td); };
+    const input = (key, attrs = {}) => {
+      const el = document.createElement('input');
+      Object.assign(el, { type: 'text', ...attrs, value: a[key] ?? '' });
+      on(el, 'input', () => { a[key] = el.value; refreshLint(); });
+      return el;
+    };
+    // Formatting only applies to string props (number props: decimals round)
+    const formatEls = [];
+    const syncFormatting = () => {
+      const type = typeOf[a.prop];
+      formatEls.forEach(([key, el]) => {
+        el.disabled = !!type && type !== 'string' && !(key === 'decimals' && type === 'number');
+        if (el.disabled) { a[key] = ''; el.value = ''; }
+      });
+    };
+
+    cell(input('alias', { className: 'mono', placeholder: 'f0' }));
+    const propSel = document.createElement('select');
+    populateSelect(propSel, props, { placeholder: '— property —' });
+    propSel.value = props.includes(a.prop) ? a.prop : '';
+    on(propSel, 'change', () => { a.prop = propSel.value; syncFormatting(); refreshLint(); });
+    cell(propSel);
+    const caseSel = document.createElement('select');
+    ALIAS_CASES.forEach(([v, label]) => { const o = document.createElement('option'); o.value = v; o.textContent = label; caseSel.appendChild(o); });
+    caseSel.value = a.case || '';
+    on(caseSel, 'change', () => { a.case = caseSel.value; refreshLint(); });
+    cell(caseSel);
+    formatEls.push(['case', caseSel]);
+    [
+      ['decimals', { type: 'number', min: 0, max: 10, step: 1 }],
+      ['thousands', { className: 'mono', placeholder: ',', maxLength: 1 }],
+      ['prefix'],
+      ['suffix'],
+    ].forEach(([key, attrs]) => { const el = input(key, attrs); formatEls.push([key, el]); cell(el); });
+    syncFormatting();
+    const rm = document.createElement('button');
+    rm.className = 'outline secondary';
+    rm.textContent = 'Remove';
+    on(rm, 'click', () => { aliases.splice(i, 1); renderAliases(); refreshLint(); });
+    cell(rm);
+    elAliasBody.appendChild(tr);
+  });
+  show(elAliasTable, aliases.length > 0);
+}
+
+// Caspar's classic f0, f1, … in View Model order (settable props only)
+function useCasparFieldAliases() {
+  const props = templateDataRows(schema || {}).map(r => r.id);
+  aliases = props.map((prop, i) => ({ alias: `f${i}`, prop }));
+  renderAliases();
+}
+
+// Complete rows only (alias + prop), as the builders expect them
+function activeAliases() {
+  return aliases.filter(a => a.alias && a.alias.trim() && a.prop).map(a => ({ ...a, alias: a.alias.trim() }));
+}
+
+function addRundownItem() {
+  const label = elPsLabel?.value.trim() || `${baseName} ${rundown.length + 1}`;
+  rundown.push({ label, values: { ...vmEdits } });
+  renderRundown();
+}
+
+// Prefill preset fields, ViewModel values and rundown from imported preset items
+function applyPresetImport(items) {
+  const first = items[0];
+  writePresetFields({ ...first, label: items.length === 1 ? first.label : '' });
+
+  const missing = new Set();
+  const renamed = new Map();
+  const matched = items.map((it) => {
+    const m = matchPresetValues(schema, it.values, activeAliases());
+    m.missing.forEach(id => missing.add(id));
+    m.renamed.forEach(([from, to]) => renamed.set(from, to));
+    return { ...it, values: m.values };
+  });
+
+  // Only values that differ from the file's defaults count as edits
+  const defaults = {};
+  templateDataRows(schema).forEach(r => { defaults[r.id] = r.value; });
+  vmEdits = {};
+  Object.entries(matched[0].values).forEach(([k, v]) => { if (defaults[k] !== v) vmEdits[k] = v; });
+  updateVmTable(schema.viewModelProps || []);
+
+  rundown = items.length > 1 ? matched.map(({ name, ...it }) => it) : [];
+  renderRundown();
+  if (preview) startPreview();
+
+  const report = [`Imported ${items.length} item${items.length === 1 ? '' : 's'}.`];
+  if (missing.size) report.push(`Not in the Rive file: ${[...missing].join(', ')}.`);
+  if (renamed.size) report.push(`Case fixed: ${[...renamed].map(([a, b]) => `${a} → ${b}`).join(', ')}.`);
+  setText(elPsImportReport, report.join(' '));
+  if (elPsImportReport) elPsImportReport.style.color = missing.size ? 'var(--pico-del-color)' : '';
+}
+
+async function importPresetFile(f) {
+  let items;
+  try {
+    items = parseCasparClientPresetXml(await f.text());
+  } catch (e) {
+    console.error(e);
+    setText(elPsImportReport, `Could not read ${f.name}: ${e.message}`);
+    return;
+  }
+  if (!items.length) { setText(elPsImportReport, `No TEMPLATE items in ${f.name}.`); return; }
+  if (schema) { applyPresetImport(items); return; }
+  pendingPreset = items;
+  setText(elPsImportReport, `Loaded ${f.name}; choose the artboard & state machine to apply it.`);
+}
+
+// ---------- Preview ----------
+function stopPreview() {
+  previewToken++;
+  try { preview && preview.cleanup(); } catch {}
+  preview = null;
+  syncPreviewButtons();
+}
+
+async function startPreview() {
+  stopPreview();
+  if (!schema || !blobURL || !elPreviewCanvas) return;
+  const token = previewToken;
+  const w = Number(elStageW?.value) || 1920;
+  const h = Number(elStageH?.value) || 1080;
+  if (elPreviewStage) elPreviewStage.style.aspectRatio = `${w} / ${h}`;
+  try {
+    const p = await createPreview(elPreviewCanvas, blobURL, {
+      artboard: schema.artboard,
+      stateMachine: schema.stateMachine,
+      fit: elFitSel?.value || 'contain',
+      alignment: elAlignSel?.value || 'center',
+      onEvent: (ev) => setText(elPvEvent, `Event: ${ev.name}`),
+      assets: await previewAssetBytes(),
+    });
+    if (token !== previewToken) { p.cleanup(); return; }
+    preview = p;
+    await applyEditsToPreview();
+  } catch (e) {
+    console.error(e);
+    setText(elStatus, 'Preview failed (see console).');
+  }
+  syncPreviewButtons();
+}
+
+async function applyEditsToPreview() {
+  for (const p of (schema?.viewModelProps || [])) {
+    const v = vmEdits[p.name];
+    if (v == null || !preview) continue;
+    try {
+      if (p.type === 'image') await preview.setImageFile(p.name, await (await fetch(v)).blob());
+      else if (p.type === 'boolean') preview.set(p.name, 'boolean', v === 'true');
+      else preview.set(p.name, p.type, v);
+    } catch (e) { console.error(e); }
+  }
+}
+
+function resetVmEdits() {
+  vmEdits = {};
+  updateVmTable(schema?.viewModelProps || []);
+}
+
 // ---------- Core ----------
 async function analyzeSelectedFile() {
   if (!file) return;
 
   setText(elFileStatus, file ? `${file.name} (${(file.size/1024/1024).toFixed(2)} MB)` : 'No file selected.');
 
+  stopPreview();
   revokeBlob();
   blobURL = URL.createObjectURL(file);
   baseName = filenameBase(file.name);
@@ -100,6 +580,8 @@ async function analyzeSelectedFile() {
     return;
   }
 
+  try { fileHash = await hashFile(file); } catch { fileHash = ''; }
+
   // 2) Fill artboards; clear state machines
   const artNames = getArtboardNames(contents);
   populateSelect(elArtSel, artNames, { placeholder: '— choose artboard —' });
@@ -107,12 +589,31 @@ async function analyzeSelectedFile() {
 
   // 3) UI state
   schema = null;
+  vmEdits = {};
+  rundown = [];
+  assetFiles = {};
+  aliases = [];
+  renderAssets();
+  renderRundown();
+  renderAliases();
   updateVmTable([]);
   populateTriggers([]);
   show(elDetected, true);
-  enable(elBtnHtml, false);
-  enable(elBtnXml, false);
+  enableDownloads(false);
+  enable(elProjExport, true);
   setText(elStatus, 'Choose an artboard, then a state machine.');
+  setText(elProjStatus, '');
+
+  // 4) Imported project waiting for this file, else the last one used with it
+  if (pendingProject) {
+    const project = pendingProject;
+    pendingProject = null;
+    const note = project.riv.hash && project.riv.hash !== fileHash ? ' (saved for a different version of the .riv)' : '';
+    await applyProject(project, note);
+    return;
+  }
+  const recent = fileHash ? loadRecentProject(file.name, fileHash) : null;
+  if (recent) await applyProject(recent.project, recent.exact ? ' from last session' : ' from a previous version of this file');
 }
 
 async function maybeBuildSchema() {
@@ -120,32 +621,298 @@ async function maybeBuildSchema() {
   const ab = elArtSel?.value || '';
   const sm = elSmSel?.value  || '';
   if (!ab || !sm) {
+    stopPreview();
     schema = null;
     updateVmTable([]);
     populateTriggers([]);
-    enable(elBtnHtml, false);
-    enable(elBtnXml, false);
+    showEvents([]);
+    enableDownloads(false);
     setText(elStatus, 'Choose an artboard, then a state machine.');
     return;
   }
   try {
+    stopPreview();
     schema = await buildSchema(blobURL, undefined, ab, sm);
+    schema.events = getEventsForArtboard(contents, ab);
+    showEvents(schema.events);
+    schema.assets = referencedAssets().map(({ name, uniqueFilename, extension, type }) => ({ name, uniqueFilename, extension, type }));
+    vmEdits = {};
     updateVmTable(schema.viewModelProps || []);
-    populateTriggers(schema.viewModelProps || []);
-    enable(elBtnHtml, true);
-    enable(elBtnXml, true);
+    populateTriggers(schema.viewModelProps || [], schema.stateMachineInputs || []);
+    renderAliases();
+    if (pendingPreset) { applyPresetImport(pendingPreset); pendingPreset = null; }
+    enableDownloads(true);
+    refreshLint();
     setText(elStatus, 'Rive ready.');
+    startPreview();
   } catch (e) {
     console.error(e);
+    stopPreview();
     schema = null;
     updateVmTable([]);
     populateTriggers([]);
-    enable(elBtnHtml, false);
-    enable(elBtnXml, false);
+    enableDownloads(false);
     setText(elStatus, 'Failed to build schema (see console).');
   }
 }
 
+// "Name = path" lines <-> { Name: "path" }
+function parseFeedMap(text) {
+  const map = {};
+  String(text || '').split(/\r?\n/).forEach((line) => {
+    const i = line.indexOf('=');
+    if (i < 0) return;
+    const name = line.slice(0, i).trim();
+    const path = line.slice(i + 1).trim();
+    if (name && path) map[name] = path;
+  });
+  return map;
+}
+const formatFeedMap = (map) => Object.entries(map || {}).map(([k, v]) => `${k} = ${v}`).join('\n');
+
+// Template options that come straight from the form (no file bytes)
+function templateSettings() {
+  return {
+    runtime: currentRuntime(),
+    embed: !!(elEmbed && elEmbed.checked),
+    embedCompression: elEmbedCompress?.value || '',
+    runtimeSource: currentRuntimeSource(),
+    runtimePath: elRtPath?.value || './rive/',
+    width: Number(elStageW?.value) || 1920,
+    height: Number(elStageH?.value) || 1080,
+    fillViewport: !!(elStageFill && elStageFill.checked),
+    fit: elFitSel?.value || 'contain',
+    alignment: elAlignSel?.value || 'center',
+    pixelRatio: Number(elDpr?.value) || 0,
+    casparTriggers: {
+      in:   elInTrig?.value || null,
+      out:  elOutTrig?.value || null,
+      next: elNextTrig?.value || null,
+    },
+    obs: {
+      drive: elObsDrive?.value || 'visible',
+      autoplay: !!(elObsAutoplay && elObsAutoplay.checked),
+    },
+    outComplete: {
+      event: elOutEvent?.value.trim() || '',
+      state: elOutState?.value.trim() || '',
+      timeoutMs: elOutTimeout?.value === '' ? 3000 : Number(elOutTimeout?.value ?? 3000),
+      clear: !!(elOutClear && elOutClear.checked),
+    },
+    eventCallbackUrl: elEventUrl?.value.trim() || '',
+    feed: {
+      url: elFeedUrl?.value.trim() || '',
+      mode: elFeedMode?.value || 'poll',
+      format: elFeedFormat?.value || 'auto',
+      intervalMs: elFeedInterval?.value === '' ? 5000 : Number(elFeedInterval?.value ?? 5000),
+      map: parseFeedMap(elFeedMap?.value),
+    },
+    fieldAliases: activeAliases(),
+    pages: {
+      transition: elPgTransition?.value || 'none',
+      trigger: elPgTrigger?.value || '',
+      atEnd: elPgEnd?.value || 'hold',
+      autoMs: Number(elPgAuto?.value) || 0,
+    },
+    control: {
+      url: elCtlUrl?.value.trim() || '',
+      id: elCtlId?.value.trim() || '',
+      channel: elCtlChannel?.value.trim() || '',
+    },
+    debug: !!(elDbgOverlay && elDbgOverlay.checked),
+    assets: {
+      embed: !!(elAssetEmbed && elAssetEmbed.checked),
+      path: elAssetPath?.value.trim() || './',
+    },
+    spx: {
+      description: elSpxDesc?.value.trim() || '',
+      playserver: elSpxServer?.value.trim() || 'OVERLAY',
+      playchannel: elSpxChannel?.value.trim() || '1',
+      playlayer: elSpxLayer?.value.trim() || '1',
+      webplayout: elSpxWebLayer?.value.trim() || '',
+      out: elSpxOut?.value.trim() || 'manual',
+      assetFolder: elSpxAssets?.value.trim() || './images/',
+    },
+  };
+}
+function writeTemplateSettings(t = {}) {
+  const radio = (name, v) => { const el = document.querySelector(`input[name="${name}"][value="${v}"]`); if (el) el.checked = true; };
+  const setVal = (el, v) => { if (el && v != null) el.value = v; };
+  const setChk = (el, v) => { if (el && v != null) el.checked = !!v; };
+  if (t.runtime) radio('rt', t.runtime);
+  if (t.runtimeSource) radio('rtSrc', t.runtimeSource);
+  syncRuntimeSourceUi();
+  setChk(elEmbed, t.embed);
+  setVal(elEmbedCompress, t.embedCompression);
+  setVal(elRtPath, t.runtimePath);
+  setVal(elStageW, t.width);
+  setVal(elStageH, t.height);
+  setChk(elStageFill, t.fillViewport);
+  setVal(elFitSel, t.fit);
+  setVal(elAlignSel, t.alignment);
+  setVal(elDpr, t.pixelRatio);
+  setVal(elObsDrive, t.obs?.drive);
+  setChk(elObsAutoplay, t.obs?.autoplay);
+  setVal(elOutEvent, t.outComplete?.event);
+  setVal(elOutState, t.outComplete?.state);
+  setVal(elOutTimeout, t.outComplete?.timeoutMs);
+  setChk(elOutClear, t.outComplete?.clear);
+  setVal(elEventUrl, t.eventCallbackUrl);
+  setVal(elFeedUrl, t.feed?.url);
+  setVal(elFeedMode, t.feed?.mode);
+  setVal(elFeedFormat, t.feed?.format);
+  setVal(elFeedInterval, t.feed?.intervalMs);
+  if (t.feed?.map) setVal(elFeedMap, formatFeedMap(t.feed.map));
+  if (Array.isArray(t.fieldAliases)) { aliases = t.fieldAliases.map(a => ({ ...a })); renderAliases(); }
+  setVal(elPgTransition, t.pages?.transition);
+  setVal(elPgTrigger, t.pages?.trigger || '');
+  setVal(elPgEnd, t.pages?.atEnd);
+  setVal(elPgAuto, t.pages?.autoMs);
+  setVal(elCtlUrl, t.control?.url);
+  setVal(elCtlId, t.control?.id);
+  setVal(elCtlChannel, t.control?.channel);
+  setChk(elDbgOverlay, t.debug);
+  setChk(elAssetEmbed, t.assets?.embed);
+  setVal(elAssetPath, t.assets?.path);
+  setVal(elSpxDesc, t.spx?.description);
+  setVal(elSpxServer, t.spx?.playserver);
+  setVal(elSpxChannel, t.spx?.playchannel);
+  setVal(elSpxLayer, t.spx?.playlayer);
+  setVal(elSpxWebLayer, t.spx?.webplayout);
+  setVal(elSpxOut, t.spx?.out);
+  setVal(elSpxAssets, t.spx?.assetFolder);
+  // Triggers only exist once the schema is built; unknown names fall back to "optional"
+  setVal(elInTrig, t.casparTriggers?.in || '');
+  setVal(elOutTrig, t.casparTriggers?.out || '');
+  setVal(elNextTrig, t.casparTriggers?.next || '');
+  syncPreviewButtons();
+  refreshLint();
+}
+
+async function downloadTemplate(target) {
+  if (!schema) { setText(elStatus, 'Select artboard & state machine first.'); return; }
+  if (blockedByLint()) return;
+
+  const settings = templateSettings();
+  const { runtime, embed, runtimeSource } = settings;
+
+  let base64 = '';
+  let rivPath = '';
+  if (embed) {
+    if (!file) { setText(elStatus, 'Select a .riv to embed.'); return; }
+    let bytes = new Uint8Array(await file.arrayBuffer());
+    if (settings.embedCompression) {
+      if (typeof CompressionStream === 'undefined') {
+        settings.embedCompression = ''; // the template then embeds the .riv as is
+      } else {
+        setText(elStatus, 'Compressing .riv…');
+        bytes = await compressBytes(bytes, settings.embedCompression);
+      }
+    }
+    base64 = await bytesToBase64(bytes);
+  } else {
+    rivPath = file ? file.name : 'graphic.riv';
+  }
+
+  let runtimeJs = '';
+  let runtimeWasmBase64 = '';
+  if (runtimeSource === 'inline') {
+    setText(elStatus, 'Loading Rive runtime…');
+    try {
+      ({ js: runtimeJs, wasmBase64: runtimeWasmBase64 } = await loadRuntimeBundle(runtime));
+    } catch (e) {
+      setText(elStatus, e.message);
+      return;
+    }
+  }
+
+  const assets = await templateAssetFiles(settings.assets.embed);
+
+  const opts = {
+    ...settings,
+    target,
+    assets: { ...settings.assets, files: assets.files },
+    base64,
+    rivPath,
+    runtimeJs,
+    runtimeWasmBase64,
+    vmDefaults: Object.keys(vmEdits).length ? { ...vmEdits } : undefined,
+  };
+  const issues = lintTemplate(schema, opts); // exact embed size now the files are read
+  showLint(issues);
+  if (issues.some(i => i.level === 'error')) { setText(elStatus, 'Fix the errors listed above the download buttons first.'); return; }
+  const html = buildTemplate(schema, opts);
+
+  const outName = `${target}-${baseName}.html`;
+  downloadBlob(new Blob([html], { type: 'text/html' }), outName);
+  setText(elStatus, assets.missing.length
+    ? `Downloaded ${outName}; missing assets (expected in ${settings.assets.path}): ${assets.missing.join(', ')}`
+    : `Downloaded ${outName}`);
+  saveRecentProject(collectProject());
+}
+
+// ---------- Project ----------
+function collectProject() {
+  return {
+    version: PROJECT_VERSION,
+    riv: { name: file?.name || '', size: file?.size || 0, hash: fileHash },
+    artboard: schema?.artboard || elArtSel?.value || '',
+    stateMachine: schema?.stateMachine || elSmSel?.value || '',
+    settings: templateSettings(),
+    vmDefaults: { ...vmEdits },
+    preset: presetFields(),
+    rundown: rundown.map(it => ({ ...it })),
+    schema, // lets the CLI regenerate without reading the .riv
+  };
+}
+
+// Restore a project onto the loaded .riv: selections first (rebuilds the schema), then values
+async function applyProject(project, note = '') {
+  writeTemplateSettings(project.settings);
+  writePresetFields(project.preset);
+
+  const arts = getArtboardNames(contents);
+  if (project.artboard && arts.includes(project.artboard)) {
+    elArtSel.value = project.artboard;
+    const sms = getStateMachineNamesForArtboard(contents, project.artboard);
+    populateSelect(elSmSel, sms, { placeholder: '— choose state machine —' });
+    if (project.stateMachine && sms.includes(project.stateMachine)) elSmSel.value = project.stateMachine;
+    await maybeBuildSchema();
+  }
+  if (!schema) {
+    setText(elProjStatus, `Project artboard/state machine not found in ${file?.name || 'this file'}.`);
+    return;
+  }
+
+  writeTemplateSettings(project.settings); // triggers now that the dropdowns are filled
+  const known = new Set((schema.viewModelProps || []).map(p => p.name));
+  vmEdits = {};
+  Object.entries(project.vmDefaults || {}).forEach(([k, v]) => { if (known.has(k)) vmEdits[k] = v; });
+  updateVmTable(schema.viewModelProps || []);
+  rundown = Array.isArray(project.rundown) ? project.rundown : [];
+  renderRundown();
+  startPreview();
+  setText(elProjStatus, `Restored project settings${note}.`);
+}
+
+async function importProjectFile(f) {
+  let project;
+  try {
+    project = await readProjectFile(f);
+  } catch (e) {
+    console.error(e);
+    setText(elProjStatus, `Could not read ${f.name}: ${e.message}`);
+    return;
+  }
+  if (!file || !contents) {
+    pendingProject = project;
+    setText(elProjStatus, `Loaded ${f.name}; now pick ${project.riv.name || 'its .riv file'}.`);
+    return;
+  }
+  const note = project.riv.hash && project.riv.hash !== fileHash ? ' (saved for a different version of the .riv)' : '';
+  await applyProject(project, note);
+}
+
 // ---------- Event wiring ----------
 function wire() {
   // Elements
@@ -160,9 +927,87 @@ function wire() {
   elOutTrig    = $('#outTrig');
   elNextTrig   = $('#nextTrig');
   elEmbed      = $('#embedCaspar');
+  elEmbedCompress = $('#embedCompress');
   elBtnHtml    = $('#dlCaspar');
   elBtnXml     = $('#dlCasparXml');
+  elBtnObs     = $('#dlObs');
+  elBtnSpx     = $('#dlSpx');
+  elBtnAmcp    = $('#dlAmcp');
+  elObsDrive   = $('#obsDrive');
+  elObsAutoplay = $('#obsAutoplay');
+  elRtInlineOpts = $('#rtInlineOpts');
+  elRtLocalOpts  = $('#rtLocalOpts');
+  elRtJsFile     = $('#rtJsFile');
+  elRtWasmFile   = $('#rtWasmFile');
+  elRtPath       = $('#rtPath');
+  elStageW     = $('#stageW');
+  elStageH     = $('#stageH');
+  elStageFill  = $('#stageFill');
+  elFitSel     = $('#fitSel');
+  elAlignSel   = $('#alignSel');
+  elDpr        = $('#dprInput');
+  elDbgOverlay = $('#dbgOverlay');
+  elVmReset    = $('#vmReset');
+  elPsLabel    = $('#psLabel');
+  elPsDevice   = $('#psDevice');
+  elPsChannel  = $('#psChannel');
+  elPsVideoLayer = $('#psVideoLayer');
+  elPsLayer    = $('#psLayer');
+  elPsJson     = $('#psJson');
+  elPsStored   = $('#psStored');
+  elPsTriggerNext = $('#psTriggerNext');
+  elRdAdd      = $('#rdAdd');
+  elRdTable    = $('#rdTable');
+  elRdBody     = $('#rdBody');
+  elPsImport   = $('#psImport');
+  elPsImportReport = $('#psImportReport');
+  elAssetBox   = $('#assetBox');
+  elAssetBody  = $('#assetBody');
+  elAssetFiles = $('#assetFiles');
+  elAssetEmbed = $('#assetEmbed');
+  elAssetPath  = $('#assetPath');
+  elPreviewStage  = $('#previewStage');
+  elPreviewCanvas = $('#previewCanvas');
+  elPvIn       = $('#pvIn');
+  elPvOut      = $('#pvOut');
+  elPvNext     = $('#pvNext');
+  elPvRestart  = $('#pvRestart');
+  elOutEvent   = $('#outEvent');
+  elOutState   = $('#outState');
+  elOutTimeout = $('#outTimeout');
+  elOutClear   = $('#outClear');
+  elEventUrl   = $('#eventUrl');
+  elEvList     = $('#evList');
+  elRivEvents  = $('#rivEvents');
+  elPvEvent    = $('#pvEvent');
+  elFeedUrl    = $('#feedUrl');
+  elFeedMode   = $('#feedMode');
+  elFeedFormat = $('#feedFormat');
+  elFeedInterval = $('#feedInterval');
+  elFeedMap    = $('#feedMap');
+  elAliasTable = $('#aliasTable');
+  elAliasBody  = $('#aliasBody');
+  elAliasAdd   = $('#aliasAdd');
+  elAliasCaspar = $('#aliasCaspar');
+  elPgTransition = $('#pgTransition');
+  elPgTrigger  = $('#pgTrigger');
+  elPgEnd      = $('#pgEnd');
+  elPgAuto     = $('#pgAuto');
+  elCtlUrl     = $('#ctlUrl');
+  elCtlId      = $('#ctlId');
+  elCtlChannel = $('#ctlChannel');
+  elSpxDesc    = $('#spxDesc');
+  elSpxServer  = $('#spxServer');
+  elSpxChannel = $('#spxChannel');
+  elSpxLayer   = $('#spxLayer');
+  elSpxWebLayer = $('#spxWebLayer');
+  elSpxOut     = $('#spxOut');
+  elSpxAssets  = $('#spxAssets');
+  elProjExport = $('#projExport');
+  elProjImport = $('#projImport');
+  elProjStatus = $('#projStatus');
   elStatus     = $('#status');
+  elLint       = $('#lintList');
 
   if (!elFile) {
     console.warn('No file input found (expected #rivfile).');
@@ -172,11 +1017,13 @@ function wire() {
 
   // Initial UI
   show(elDetected, false);
-  enable(elBtnHtml, false);
-  enable(elBtnXml, false);
+  enableDownloads(false);
+  enable(elProjExport, false);
   setText(elFileStatus, 'No file selected.');
+  syncRuntimeSourceUi();
 
   // Listeners
+  document.querySelectorAll('input[name="rtSrc"]').forEach(el => on(el, 'change', syncRuntimeSourceUi));
   on(elFile, 'change', async (e) => {
     const f = e.target.files && e.target.files[0];
     if (!f) return;
@@ -196,48 +1043,75 @@ function wire() {
     maybeBuildSchema();
   });
 
-  on(elBtnHtml, 'click', async () => {
-    if (!schema) { setText(elStatus, 'Select artboard & state machine first.'); return; }
+  [elInTrig, elOutTrig, elNextTrig].forEach(el => on(el, 'change', () => { syncPreviewButtons(); refreshLint(); }));
+  [elEmbed, elAssetEmbed, elRtJsFile, elRtWasmFile].forEach(el => on(el, 'change', refreshLint));
+  document.querySelectorAll('input[name="rtSrc"]').forEach(el => on(el, 'change', refreshLint));
+  on(elPvIn, 'click', () => preview?.fire(elInTrig.value));
+  on(elPvOut, 'click', () => preview?.fire(elOutTrig.value));
+  on(elPvNext, 'click', () => preview?.fire(elNextTrig.value));
+  on(elPvRestart, 'click', () => startPreview());
+  on(elVmReset, 'click', () => { resetVmEdits(); startPreview(); });
+  [elFitSel, elAlignSel, elStageW, elStageH].forEach(el => on(el, 'change', () => { if (preview) startPreview(); }));
 
-    const runtime = currentRuntime();
-    const embed = !!(elEmbed && elEmbed.checked);
-
-    let base64 = '';
-    let rivPath = '';
-    if (embed) {
-      if (!file) { setText(elStatus, 'Select a .riv to embed.'); return; }
-      base64 = await fileToBase64(file);
-    } else {
-      rivPath = file ? file.name : 'graphic.riv';
-    }
-
-    const casparTriggers = {
-      in:   elInTrig?.value || null,
-      out:  elOutTrig?.value || null,
-      next: elNextTrig?.value || null,
-    };
+  on(elProjExport, 'click', () => {
+    const project = collectProject();
+    saveRecentProject(project);
+    setText(elProjStatus, `Downloaded ${downloadProject(project)}`);
+  });
+  on(elProjImport, 'change', (e) => {
+    const f = e.target.files && e.target.files[0];
+    if (f) importProjectFile(f);
+    e.target.value = '';
+  });
 
-    const html = buildTemplate(schema, {
-      runtime,
-      embed,
-      base64,
-      rivPath,
-      casparTriggers
-    });
+  on(elAliasAdd, 'click', () => { aliases.push({ alias: '', prop: '' }); renderAliases(); });
+  on(elAliasCaspar, 'click', useCasparFieldAliases);
+  on(elAssetFiles, 'change', (e) => {
+    addAssetFiles(e.target.files);
+    e.target.value = '';
+  });
 
-    const outName = `caspar-${baseName}.html`;
-    downloadBlob(new Blob([html], { type: 'text/html' }), outName);
-    setText(elStatus, `Downloaded ${outName}`);
+  on(elRdAdd, 'click', addRundownItem);
+  on(elPsImport, 'change', (e) => {
+    const f = e.target.files && e.target.files[0];
+    if (f) importPresetFile(f);
   });
 
+  on(elBtnHtml, 'click', () => downloadTemplate('caspar'));
+  on(elBtnObs, 'click', () => downloadTemplate('obs'));
+  on(elBtnSpx, 'click', () => downloadTemplate('spx'));
+
   on(elBtnXml, 'click', () => {
     if (!schema) { setText(elStatus, 'Select artboard & state machine first.'); return; }
+    if (blockedByLint()) return;
     const htmlName = `caspar-${baseName}.html`;
-    downloadCasparClientPresetXml(schema, htmlName, { layer: 20, sendAsJson: false });
+    downloadCasparClientPresetXml(schema, htmlName, presetOptions());
     setText(elStatus, `Downloaded ${htmlName.replace(/\.html$/i, '.xml')}`);
+    saveRecentProject(collectProject());
+  });
+
+  on(elBtnAmcp, 'click', () => {
+    if (!schema) { setText(elStatus, 'Select artboard & state machine first.'); return; }
+    if (blockedByLint()) return;
+    const htmlName = `caspar-${baseName}.html`;
+    const ps = presetOptions();
+    try {
+      downloadAmcpScript(schema, htmlName, {
+        channel: ps.channel,
+        videoLayer: ps.videoLayer,
+        layer: ps.layer,
+        sendAsJson: ps.sendAsJson,
+        values: ps.values,
+        aliases: ps.aliases,
+      });
+    } catch (e) {
+      setText(elStatus, e.message);
+      return;
+    }
+    setText(elStatus, `Downloaded ${htmlName.replace(/\.html$/i, '.amcp.txt')}`);
   });
 
-  window.addEventListener('beforeunload', revokeBlob);
+  window.addEventListener('beforeunload', () => { stopPreview(); revokeBlob(); });
 }
 
 // Run when DOM is ready
@@ -0,0 +1,72 @@
+// public/js/feed-parsers.mjs
+// Data feed parsing (CSV / JSON / Caspar XML → one flat record) for the generated
+// templates. Inlined like payload-parsers.mjs (feedParsersSource), so the same rules
+// apply: ES5 only, no imports at runtime, and only calls into each other and the
+// payload parsers, which every template inlines as well.
+
+import { stripBomAndTrim, parseTemplateDataXml, normalizeCasparJsonObject } from './payload-parsers.mjs';
+
+// Value at a dotted path ("player.name", "items.0.title"); a key containing dots wins
+export function pickPath(o, path){
+  if (o == null) return undefined;
+  if (Object.prototype.hasOwnProperty.call(o, path)) return o[path];
+  var parts = String(path).split('.');
+  for (var i=0;i<parts.length;i++){
+    if (o == null) return undefined;
+    o = o[parts[i]];
+  }
+  return o;
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF; first row is the header
+export function parseCsv(text){
+  var rows = [], row = [], field = '', quoted = false, i, c;
+  for (i=0;i<text.length;i++){
+    c = text.charAt(i);
+    if (quoted){
+      if (c === '"'){ if (text.charAt(i+1) === '"'){ field += '"'; i++; } else quoted = false; }
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text.charAt(i+1) === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    }
+    else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  var head = rows.shift() || [], out = [];
+  for (var r2=0;r2<rows.length;r2++){
+    if (rows[r2].length === 1 && rows[r2][0] === '') continue;
+    var rec = {};
+    for (var j=0;j<head.length;j++) rec[head[j]] = rows[r2][j] != null ? rows[r2][j] : '';
+    out.push(rec);
+  }
+  return out;
+}
+
+// One feed response → { key: value }. format: "auto" | "json" | "csv" | "xml";
+// map: { key: "path" } picks values out of the record, else the record is used as is.
+export function feedRecord(text, format, map){
+  var s = stripBomAndTrim(text);
+  var fmt = format || 'auto';
+  if (fmt === 'auto') fmt = s.charAt(0) === '<' ? 'xml' : (s.charAt(0) === '{' || s.charAt(0) === '[') ? 'json' : 'csv';
+  if (fmt === 'xml') return parseTemplateDataXml(s);
+  var data = fmt === 'csv' ? parseCsv(s) : JSON.parse(s);
+  // CSV rows / a top-level JSON array: the first record; map paths are relative to it
+  if (data && typeof data === 'object' && typeof data.length === 'number') data = data[0];
+  var out = {}, mapped = false;
+  for (var k in map){
+    if (!map.hasOwnProperty(k)) continue;
+    mapped = true;
+    var v = pickPath(data, map[k]);
+    if (v != null) out[k] = v;
+  }
+  if (mapped) return out;
+  return normalizeCasparJsonObject(data);
+}
+
+// Source of the feed parsers as plain function declarations, for inlining into a template
+export function feedParsersSource() {
+  return [pickPath, parseCsv, feedRecord].map(fn => fn.toString()).join('\n');
+}
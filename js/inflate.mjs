@@ -0,0 +1,147 @@
+// public/js/inflate.mjs
+// Small inflate (RFC 1951) with the gzip (RFC 1952) and zlib (RFC 1950) wrappers used by
+// CompressionStream's "gzip" / "deflate" formats. Templates inline it (inflateSource) as
+// the fallback where DecompressionStream is missing, so the same rules as
+// payload-parsers.mjs apply: ES5 only, no imports, functions only call each other.
+// Decodes a bit at a time; fine for a fallback, slower than the native stream.
+
+export function inflateRaw(data, pos){
+  var LBASE = [3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258];
+  var LEXT = [0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0];
+  var DBASE = [1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577];
+  var DEXT = [0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];
+  var ORDER = [16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];
+  var out = new Uint8Array(Math.max(1024, data.length * 4)), len = 0;
+  var bitBuf = 0, bitCnt = 0;
+  pos = pos || 0;
+
+  function ensure(n){
+    if (len + n <= out.length) return;
+    var grown = new Uint8Array(Math.max(out.length * 2, len + n));
+    grown.set(out.subarray(0, len));
+    out = grown;
+  }
+  function bits(n){
+    while (bitCnt < n){
+      if (pos >= data.length) throw new Error('inflate: unexpected end of data');
+      bitBuf |= data[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+    var v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCnt -= n;
+    return v;
+  }
+  // Canonical Huffman table from code lengths: counts per length + symbols in code order
+  function table(lengths){
+    var counts = [], offs = [], syms = [], i;
+    for (i=0;i<16;i++) counts[i] = 0;
+    for (i=0;i<lengths.length;i++) counts[lengths[i]]++;
+    counts[0] = 0;
+    offs[1] = 0;
+    for (i=1;i<15;i++) offs[i+1] = offs[i] + counts[i];
+    for (i=0;i<lengths.length;i++) if (lengths[i]) syms[offs[lengths[i]]++] = i;
+    return { counts: counts, syms: syms };
+  }
+  function decode(h){
+    var code = 0, first = 0, index = 0;
+    for (var l=1;l<16;l++){
+      code |= bits(1);
+      var count = h.counts[l];
+      if (code - count < first) return h.syms[index + (code - first)];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('inflate: bad Huffman code');
+  }
+  function codes(lit, dist){
+    for (;;){
+      var sym = decode(lit);
+      if (sym < 256){ ensure(1); out[len++] = sym; continue; }
+      if (sym === 256) return;
+      sym -= 257;
+      if (sym >= 29) throw new Error('inflate: bad length code');
+      var n = LBASE[sym] + bits(LEXT[sym]);
+      var ds = decode(dist);
+      if (ds >= 30) throw new Error('inflate: bad distance code');
+      var d = DBASE[ds] + bits(DEXT[ds]);
+      if (d > len) throw new Error('inflate: distance too far back');
+      ensure(n);
+      for (var k=0;k<n;k++){ out[len] = out[len - d]; len++; }
+    }
+  }
+
+  var fixedLit = null, fixedDist = null, last, type, i;
+  do {
+    last = bits(1);
+    type = bits(2);
+    if (type === 0){
+      bitBuf = 0; bitCnt = 0; // stored: skip to the byte boundary
+      if (pos + 4 > data.length) throw new Error('inflate: unexpected end of data');
+      var n = data[pos] | (data[pos+1] << 8);
+      if ((n ^ 0xFFFF) !== (data[pos+2] | (data[pos+3] << 8))) throw new Error('inflate: bad stored block');
+      pos += 4;
+      if (pos + n > data.length) throw new Error('inflate: unexpected end of data');
+      ensure(n);
+      out.set(data.subarray(pos, pos + n), len);
+      len += n;
+      pos += n;
+    } else if (type === 1){
+      if (!fixedLit){
+        var ll = [];
+        for (i=0;i<288;i++) ll[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+        var dl = [];
+        for (i=0;i<30;i++) dl[i] = 5;
+        fixedLit = table(ll);
+        fixedDist = table(dl);
+      }
+      codes(fixedLit, fixedDist);
+    } else if (type === 2){
+      var nlen = bits(5) + 257, ndist = bits(5) + 1, ncode = bits(4) + 4;
+      var cl = [];
+      for (i=0;i<19;i++) cl[i] = 0;
+      for (i=0;i<ncode;i++) cl[ORDER[i]] = bits(3);
+      var clTable = table(cl), lengths = [];
+      while (lengths.length < nlen + ndist){
+        var sym = decode(clTable), rep = 0, val = 0;
+        if (sym < 16){ lengths.push(sym); continue; }
+        if (sym === 16){
+          if (!lengths.length) throw new Error('inflate: repeat with no length');
+          val = lengths[lengths.length - 1];
+          rep = 3 + bits(2);
+        } else if (sym === 17) rep = 3 + bits(3);
+        else rep = 11 + bits(7);
+        if (lengths.length + rep > nlen + ndist) throw new Error('inflate: too many lengths');
+        while (rep--) lengths.push(val);
+      }
+      codes(table(lengths.slice(0, nlen)), table(lengths.slice(nlen)));
+    } else {
+      throw new Error('inflate: bad block type');
+    }
+  } while (!last);
+  return out.subarray(0, len);
+}
+
+// format: "gzip" | "deflate" (zlib-wrapped, as CompressionStream("deflate") writes it)
+export function decompressBytes(data, format){
+  var pos = 0;
+  if (format === 'gzip'){
+    if (data[0] !== 0x1f || data[1] !== 0x8b || data[2] !== 8) throw new Error('Not gzip data');
+    var flags = data[3];
+    pos = 10;
+    if (flags & 4) pos += 2 + (data[pos] | (data[pos+1] << 8)); // FEXTRA
+    if (flags & 8) while (data[pos++]) {}                       // FNAME
+    if (flags & 16) while (data[pos++]) {}                      // FCOMMENT
+    if (flags & 2) pos += 2;                                    // FHCRC
+  } else if (format === 'deflate'){
+    if ((data[0] & 15) !== 8 || ((data[0] << 8) | data[1]) % 31) throw new Error('Not zlib data');
+    pos = 2;
+  }
+  return inflateRaw(data, pos);
+}
+
+// Source of the inflater as plain function declarations, for inlining into a template
+export function inflateSource() {
+  return [inflateRaw, decompressBytes].map(fn => fn.toString()).join('\n');
+}
@@ -0,0 +1,124 @@
+// public/js/payload-parsers.mjs
+// UPDATE payload parsing shared by the generated templates and Node tooling.
+// The functions are written in ES5 and inlined into templates verbatim via their
+// source text (payloadParsersSource), so keep them self-contained: no ES6 syntax,
+// no imports, and only call each other.
+//
+// parsePayload(raw) accepts:
+//   - Caspar XML: <templateData><componentData id="f0"><data id="text" value="..."/></componentData>...
+//   - Caspar JSON: {"templateData": {"componentData": [{"id": "f0", "data": {"value": "..."}}]}}
+//   - flat JSON ({"Title": "..."}) or an already-parsed object
+//   - sloppy JSON: BOM, wrapped in quotes, raw line breaks inside strings
+// XML parsing uses the global DOMParser (browsers; in Node provide one, e.g. jsdom's).
+
+export function textByTag(root, tag){
+  try { var el = root.getElementsByTagName(tag)[0]; return el ? (el.textContent || '') : ''; } catch(e){ return ''; }
+}
+
+export function parseTemplateDataXml(raw){
+  try{
+    var doc = new DOMParser().parseFromString(String(raw), 'application/xml');
+    var out = {};
+    var nodes = doc.getElementsByTagName('componentData');
+    if (!nodes || !nodes.length) nodes = doc.getElementsByTagName('componentdata');
+    for (var i=0;i<(nodes?nodes.length:0);i++){
+      var n = nodes[i];
+      var id = n.getAttribute('id') || textByTag(n, 'id');
+      var dataEl = n.getElementsByTagName('data')[0] || null;
+      var val = dataEl ? (dataEl.getAttribute('value') || dataEl.textContent || '') : textByTag(n, 'value');
+      if (id) out[id] = (val == null ? '' : String(val));
+    }
+    return out;
+  } catch(e){ return {}; }
+}
+
+export function stripBomAndTrim(s){ return String(s||'').replace(/^\uFEFF/, '').trim(); }
+
+export function unwrapIfQuoted(s){
+  if (s.length >= 2 && ((s[0] === '"' && s[s.length-1] === '"') || (s[0] === "'" && s[s.length-1] === "'"))) {
+    return s.slice(1, -1);
+  }
+  return s;
+}
+
+// Escape raw CR/LF inside JSON string literals; line breaks between tokens are left alone
+export function escapeBareNewlinesInJson(s){
+  s = String(s);
+  var out = '', inString = false, escaped = false;
+  for (var i=0;i<s.length;i++){
+    var c = s.charAt(i);
+    if (inString){
+      if (escaped) escaped = false;
+      else if (c === '\\') escaped = true;
+      else if (c === '"') inString = false;
+      else if (c === '\n') { out += '\\n'; continue; }
+      else if (c === '\r') { if (s.charAt(i+1) !== '\n') out += '\\n'; continue; }
+    } else if (c === '"') inString = true;
+    out += c;
+  }
+  return out;
+}
+
+export function normalizeCasparJsonObject(o){
+  if (!o || typeof o !== 'object') return {};
+  var td = o.templateData || o.templatedata;
+  if (td){
+    var arr = td.componentData || td.componentdata || [];
+    var map = {};
+    for (var i=0;i<arr.length;i++){
+      var it = arr[i] || {};
+      var id = it.id || it.componentId || it.name;
+      var val = (it.data && (it.data.value!=null ? it.data.value : it.data.text)) || it.value || '';
+      if (id) map[id] = String(val);
+    }
+    return map;
+  }
+  return o; // assume already flat map
+}
+
+export function parseCasparJsonStrict(s){
+  var o = (typeof s === 'string') ? JSON.parse(s) : s;
+  if (typeof o === 'string') o = JSON.parse(o); // double-encoded ("{\"a\":\"b\"}")
+  return normalizeCasparJsonObject(o);
+}
+
+export function parseCasparJsonLenient(raw){
+  try{
+    if (typeof raw === 'string') return parseCasparJsonStrict(raw);
+    return normalizeCasparJsonObject(raw);
+  } catch(_) {
+    try {
+      var s = (typeof raw === 'string') ? raw : JSON.stringify(raw);
+      s = stripBomAndTrim(s);
+      s = unwrapIfQuoted(s);
+      s = escapeBareNewlinesInJson(s);
+      return parseCasparJsonStrict(s);
+    } catch(__) {
+      var s2 = (typeof raw === 'string') ? raw : '';
+      var out = {};
+      s2.replace(/[\r\n]+/g, ' ').replace(/"([^"\\]+)"\s*:\s*"([^"\\]*)"/g, function(_, k, v){ out[k] = v; });
+      return out;
+    }
+  }
+}
+
+// Any UPDATE payload (string or object) -> flat { key: value } object
+export function parsePayload(raw){
+  if (raw == null) return {};
+  if (typeof raw === 'string'){
+    var s = stripBomAndTrim(raw);
+    return (s.charAt(0) === '<') ? parseTemplateDataXml(s) : parseCasparJsonLenient(s);
+  }
+  if (typeof raw === 'object') return parseCasparJsonLenient(raw);
+  return {};
+}
+
+const PARSERS = [
+  textByTag, parseTemplateDataXml, stripBomAndTrim, unwrapIfQuoted, escapeBareNewlinesInJson,
+  normalizeCasparJsonObject, parseCasparJsonStrict, parseCasparJsonLenient, parsePayload,
+];
+
+// Source of all the parsers as plain function declarations, for inlining into a template
+export function payloadParsersSource() {
+  return PARSERS.map(fn => fn.toString()).join('\n');
+}
@@ -28,24 +28,44 @@ function valueForPreset(prop) {
   return String(value); // string/other
 }
 
+// prop -> first alias
+function aliasIds(aliases) {
+  const out = {};
+  (Array.isArray(aliases) ? aliases : []).forEach((a) => {
+    if (a && a.alias && a.prop && !out[a.prop]) out[a.prop] = a.alias;
+  });
+  return out;
+}
+
 /**
- * Build CasparCG Client preset XML.
- * @param {object} schema - { viewModelProps: [{name,type,value}, ...] }
- * @param {string} htmlFilename - e.g. "caspar-MyLowerThird.html"
- * @param {object} opts - { layer=20, sendAsJson=true, label? }
+ * Template data rows for a schema: [{ id, value }] for every settable prop.
+ * @param {object} schema - { viewModelProps: [...] }
+ * @param {object} [values] - { [propName]: string } replaces the schema default
+ * @param {Array} [aliases] - [{ alias, prop }]; a prop's first alias becomes its id
  */
-export function buildCasparClientPresetXml(schema, htmlFilename, opts = {}) {
-  const layer = Number(opts.layer ?? 20) || 20;
-  const sendAsJson = opts.sendAsJson !== false; // default true
-  const nameNoExt = String(htmlFilename || 'template.html').replace(/\.html$/i, '');
-  const label = opts.label ?? nameNoExt;
-
+export function templateDataRows(schema, values, aliases) {
   const vprops = Array.isArray(schema?.viewModelProps) ? schema.viewModelProps : [];
-  const rows = vprops
-    .filter(p => p.type !== 'trigger') // triggers are actions, not preset values
-    .map(p => `        <componentdata>
-          <id>${xml(p.name)}</id>
-          <value>${xml(valueForPreset(p))}</value>
+  const over = (values && typeof values === 'object') ? values : {};
+  const idFor = aliasIds(aliases);
+  return vprops
+    .filter(p => p.type !== 'trigger' && p.type !== 'list') // triggers are actions, lists are containers
+    .map(p => ({
+      id: idFor[p.name] || p.name,
+      value: Object.prototype.hasOwnProperty.call(over, p.name) ? String(over[p.name]) : valueForPreset(p),
+    }));
+}
+
+// One <item>; `o` is the item's settings merged over the export-wide ones.
+function presetItemXml(schema, nameNoExt, o) {
+  const layer = Number(o.layer ?? 20) || 20;
+  const sendAsJson = o.sendAsJson !== false; // default true
+  const label = o.label || nameNoExt;
+  const bool = (v) => v ? 'true' : 'false';
+
+  const rows = templateDataRows(schema, o.values, o.aliases)
+    .map(r => `        <componentdata>
+          <id>${xml(r.id)}</id>
+          <value>${xml(r.value)}</value>
         </componentdata>`)
     .join('\n');
 
@@ -53,20 +73,47 @@ export function buildCasparClientPresetXml(schema, htmlFilename, opts = {}) {
     ? `\n      <templatedata>\n${rows}\n      </templatedata>`
     : `\n      <templatedata />`;
 
-  return `<?xml version="1.0"?>
-<items>
-  <item>
-    <type>TEMPLATE</type>
+  // Optional routing; omitted so the client falls back to its own defaults
+  const has = (v) => v != null && v !== '';
+  const device = o.deviceName ? `\n    <devicename>${xml(o.deviceName)}</devicename>` : '';
+  const channel = has(o.channel) ? `\n    <channel>${Number(o.channel) || 1}</channel>` : '';
+  const videoLayer = has(o.videoLayer) ? `\n    <videolayer>${Number(o.videoLayer) || 10}</videolayer>` : '';
+
+  return `  <item>
+    <type>TEMPLATE</type>${device}
     <label>${xml(label)}</label>
-    <name>${xml(nameNoExt)}</name>
+    <name>${xml(nameNoExt)}</name>${channel}${videoLayer}
     <flashlayer>${layer}</flashlayer>
     <invoke></invoke>
-    <usestoreddata>false</usestoreddata>
+    <usestoreddata>${bool(o.useStoredData)}</usestoreddata>
     <useuppercasedata>false</useuppercasedata>
-    <triggeronnext>false</triggeronnext>
-    <sendasjson>${sendAsJson ? 'true' : 'false'}</sendasjson>${templatedata}
+    <triggeronnext>${bool(o.triggerOnNext)}</triggeronnext>
+    <sendasjson>${bool(sendAsJson)}</sendasjson>${templatedata}
     <color>Transparent</color>
-  </item>
+  </item>`;
+}
+
+/**
+ * Build CasparCG Client preset XML.
+ * @param {object} schema - { viewModelProps: [{name,type,value}, ...] }
+ * @param {string} htmlFilename - e.g. "caspar-MyLowerThird.html"
+ * @param {object} opts - { layer=20, sendAsJson=true, label?, values?, deviceName?, channel?,
+ *                          videoLayer?, useStoredData=false, triggerOnNext=false, items?, aliases? }
+ *   values: { [propName]: string } replaces the schema default in <value>
+ *   aliases: [{ alias, prop }] writes the alias (e.g. "f0") as the <id> instead of the prop name
+ *   items:  [{ label, values, layer?, channel?, ... }] exports a rundown of several items;
+ *           each item's settings override the ones above
+ */
+export function buildCasparClientPresetXml(schema, htmlFilename, opts = {}) {
+  const nameNoExt = String(htmlFilename || 'template.html').replace(/\.html$/i, '');
+  const { items, ...base } = opts;
+  const list = (Array.isArray(items) && items.length) ? items : [{}];
+  // Unset item fields (e.g. parsed items without a <flashlayer>) keep the export-wide value
+  const defined = (it) => Object.fromEntries(Object.entries(it || {}).filter(([, v]) => v !== undefined));
+
+  return `<?xml version="1.0"?>
+<items>
+${list.map(it => presetItemXml(schema, nameNoExt, { ...base, ...defined(it) })).join('\n')}
 </items>
 `;
 }
@@ -76,3 +123,71 @@ export function downloadCasparClientPresetXml(schema, htmlFilename, opts = {}) {
   const outName = String(htmlFilename || 'template.html').replace(/\.html$/i, '') + '.xml';
   downloadBlob(new Blob([xml], { type: 'application/xml' }), outName);
 }
+
+/**
+ * Parse a CasparCG Client preset / rundown XML (as built above) back into items.
+ * Browser-only (uses DOMParser).
+ * @param {string} text - XML text
+ * @returns {Array<{ label, name, layer, deviceName, channel, videoLayer, sendAsJson,
+ *                   useStoredData, triggerOnNext, values }>} TEMPLATE items only
+ */
+export function parseCasparClientPresetXml(text) {
+  const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Not a valid XML file');
+
+  const child = (el, tag) => {
+    for (const c of el.children) if (c.tagName.toLowerCase() === tag) return c.textContent;
+    return null;
+  };
+  const bool = (v) => String(v).trim().toLowerCase() === 'true';
+
+  return Array.from(doc.getElementsByTagName('item'))
+    .filter(it => String(child(it, 'type') || 'TEMPLATE').toUpperCase() === 'TEMPLATE')
+    .map((it) => {
+      const values = {};
+      for (const cd of it.getElementsByTagName('componentdata')) {
+        const id = child(cd, 'id');
+        if (id) values[id] = child(cd, 'value') ?? '';
+      }
+      return {
+        label: child(it, 'label') || '',
+        name: child(it, 'name') || '',
+        layer: child(it, 'flashlayer') ?? undefined,
+        deviceName: child(it, 'devicename') || undefined,
+        channel: child(it, 'channel') ?? undefined,
+        videoLayer: child(it, 'videolayer') ?? undefined,
+        sendAsJson: bool(child(it, 'sendasjson')),
+        useStoredData: bool(child(it, 'usestoreddata')),
+        triggerOnNext: bool(child(it, 'triggeronnext')),
+        values,
+      };
+    });
+}
+
+/**
+ * Match preset <componentdata> ids against the schema's settable props.
+ * Ids that only differ in case are mapped to the schema name (the template would
+ * match them case-insensitively anyway); ids with no prop at all are reported.
+ * Configured aliases ([{ alias, prop }]) map straight to their prop.
+ * @returns {{ values: object, missing: string[], renamed: Array<[string, string]> }}
+ */
+export function matchPresetValues(schema, values, aliases) {
+  const names = templateDataRows(schema).map(r => r.id);
+  const byLower = {};
+  names.forEach(n => { byLower[n.toLowerCase()] = n; });
+  const propOf = {};
+  (Array.isArray(aliases) ? aliases : []).forEach((a) => {
+    if (a && a.alias && names.includes(a.prop)) propOf[a.alias.toLowerCase()] = a.prop;
+  });
+
+  const out = { values: {}, missing: [], renamed: [] };
+  Object.keys(values || {}).forEach((id) => {
+    if (names.includes(id)) { out.values[id] = values[id]; return; }
+    const aliased = propOf[id.toLowerCase()];
+    if (aliased) { out.values[aliased] = values[id]; return; }
+    const exact = byLower[id.toLowerCase()];
+    if (exact) { out.values[exact] = values[id]; out.renamed.push([id, exact]); return; }
+    out.missing.push(id);
+  });
+  return out;
+}
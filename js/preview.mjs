@@ -0,0 +1,153 @@
+// public/js/preview.mjs
+// Live in-page preview of the chosen artboard + state machine.
+// Uses the same UMD runtime as rive-introspect.mjs; values are addressed by the
+// schema's dotted paths ("Player.Name", "Items.0.Title").
+
+import { getRiveGlobal, inputTypeName } from './rive-introspect.mjs';
+
+// "#RRGGBB" (color input) -> opaque ARGB uint32 as Rive expects
+export function hexToArgb(hex) {
+  const s = String(hex || '').trim().replace(/^#/, '');
+  if (s.length === 8) return parseInt(s, 16) >>> 0;
+  return (0xFF000000 | parseInt(s.slice(0, 6) || '0', 16)) >>> 0;
+}
+
+// ARGB uint32 -> "#RRGGBB" (alpha dropped; color inputs are opaque)
+export function argbToHex(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return '#000000';
+  return '#' + ((v & 0xFFFFFF) >>> 0).toString(16).padStart(6, '0');
+}
+
+// Walk a dotted path down nested view models / list items to the owning instance.
+function resolveOwner(vmi, path) {
+  const segs = String(path).split('.');
+  let cur = vmi;
+  for (let i = 0; i < segs.length - 1 && cur; i++) {
+    let next = null;
+    try { next = cur.viewModel(segs[i]); } catch {}
+    if (!next && i < segs.length - 2) {
+      let list = null;
+      try { list = cur.list(segs[i]); } catch {}
+      if (list) { i++; try { next = list.instanceAt(Number(segs[i])); } catch {} }
+    }
+    cur = next;
+  }
+  return { owner: cur, leaf: segs[segs.length - 1] };
+}
+
+function vmProp(vmi, kind, path) {
+  if (!vmi) return null;
+  try {
+    if (String(path).indexOf('.') < 0) return vmi[kind](path);
+    const { owner, leaf } = resolveOwner(vmi, path);
+    return owner ? owner[kind](leaf) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start a preview on `canvas`. Resolves once the file has loaded.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} src - blob: or URL of the .riv
+ * @param {object} opts - { artboard, stateMachine, fit?, alignment?, onEvent?(riveEvent),
+ *   assets?: { [uniqueFilename]: Uint8Array } for referenced fonts/images/audio }
+ * @returns {Promise<{ set, setImageFile, fire, cleanup }>}
+ */
+export function createPreview(canvas, src, opts = {}) {
+  const { Rive, Layout, EventType, StateMachineInputType, decodeImage, decodeFont, decodeAudio } = getRiveGlobal();
+  const assets = opts.assets || {};
+
+  return new Promise((resolve, reject) => {
+    let r = null;
+    let vmi = null;
+
+    const preview = {
+      // string | number | boolean | color | enum
+      set(name, type, value) {
+        const it = vmProp(vmi, type, name);
+        if (!it) return false;
+        if (type === 'number') { const n = Number(value); if (!Number.isFinite(n)) return false; it.value = n; }
+        else if (type === 'boolean') it.value = !!value;
+        else if (type === 'color') it.value = typeof value === 'number' ? value >>> 0 : hexToArgb(value);
+        else it.value = String(value ?? '');
+        return true;
+      },
+      async setImageFile(name, imgFile) {
+        const it = vmProp(vmi, 'image', name);
+        if (!it) return false;
+        if (!imgFile) { it.value = null; return true; }
+        const img = await decodeImage(new Uint8Array(await imgFile.arrayBuffer()));
+        try { it.value = img; } finally { try { img.unref && img.unref(); } catch {} }
+        return true;
+      },
+      // ViewModel trigger, else a trigger input of the state machine (legacy files)
+      fire(name) {
+        const t = vmProp(vmi, 'trigger', name);
+        if (!t) {
+          let inputs = [];
+          try { inputs = r?.stateMachineInputs?.(opts.stateMachine) || []; } catch {}
+          const input = inputs.find(i => i.name === name && inputTypeName(i.type, StateMachineInputType) === 'trigger');
+          if (!input) return false;
+          input.fire();
+          return true;
+        }
+        if (typeof t.trigger === 'function') t.trigger();
+        else if (typeof t.fire === 'function') t.fire();
+        return true;
+      },
+      cleanup() {
+        try { window.removeEventListener('resize', onResize); } catch {}
+        try { r && r.cleanup && r.cleanup(); } catch {}
+        r = null;
+        vmi = null;
+      },
+    };
+
+    // Referenced assets the user supplied; everything else loads as usual
+    function assetLoader(asset, bytes) {
+      const data = assets[asset.uniqueFilename];
+      if ((bytes && bytes.length) || !data) return false;
+      const decode = asset.isFont ? decodeFont : asset.isAudio ? decodeAudio : decodeImage;
+      decode(data).then((res) => {
+        try {
+          if (asset.isFont) asset.setFont(res);
+          else if (asset.isAudio) asset.setAudioSource(res);
+          else asset.setRenderImage(res);
+        } finally { try { res.unref && res.unref(); } catch {} }
+      }).catch(e => console.error(`Decoding ${asset.name} failed`, e));
+      return true;
+    }
+
+    function onResize() {
+      try { r && r.resizeDrawingSurfaceToCanvas && r.resizeDrawingSurfaceToCanvas(); } catch {}
+    }
+
+    try {
+      r = new Rive({
+        src,
+        canvas,
+        autoplay: true,
+        artboard: opts.artboard || undefined,
+        stateMachines: opts.stateMachine || undefined,
+        autoBind: true,
+        assetLoader,
+        layout: new Layout({ fit: opts.fit || 'contain', alignment: opts.alignment || 'center' }),
+        onLoad() {
+          onResize();
+          vmi = r.viewModelInstance || null;
+          if (opts.onEvent && EventType) r.on(EventType.RiveEvent, (ev) => opts.onEvent(ev.data || {}));
+          window.addEventListener('resize', onResize);
+          resolve(preview);
+        },
+        onLoadError(e) {
+          preview.cleanup();
+          reject(e || new Error('Failed to load Rive file'));
+        },
+      });
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
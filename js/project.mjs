@@ -0,0 +1,78 @@
+// public/js/project.mjs
+// Builder project files: every setting needed to regenerate a graphic's template,
+// as JSON that can live next to the .riv in a graphics repo. Also remembers the
+// last project per .riv in localStorage (keyed by file name + content hash).
+
+import { downloadBlob, sanitizeFilename } from './utils.mjs';
+
+export const PROJECT_VERSION = 1;
+const STORAGE_PREFIX = 'rive-cg:project:';
+
+// SHA-256 of the file contents as hex
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Validate/normalise a parsed project; throws on anything that isn't one
+export function normalizeProject(p) {
+  if (!p || typeof p !== 'object' || !p.riv || typeof p.version !== 'number') {
+    throw new Error('Not a Rive → Caspar project file');
+  }
+  if (p.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${p.version} is newer than this builder supports (${PROJECT_VERSION})`);
+  }
+  return {
+    artboard: '',
+    stateMachine: '',
+    settings: {},
+    preset: {},
+    vmDefaults: {},
+    rundown: [],
+    ...p,
+  };
+}
+
+export function downloadProject(project) {
+  const base = String(project?.riv?.name || 'graphic').replace(/\.[^.]+$/, '');
+  const outName = `${sanitizeFilename(base)}.rivcg.json`;
+  downloadBlob(new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' }), outName);
+  return outName;
+}
+
+export async function readProjectFile(file) {
+  return normalizeProject(JSON.parse(await file.text()));
+}
+
+// ---------- localStorage recall ----------
+const keyFor = (name, hash) => `${STORAGE_PREFIX}${name}:${hash}`;
+const latestKeyFor = (name) => `${STORAGE_PREFIX}${name}:latest`;
+
+export function saveRecentProject(project) {
+  const { name, hash } = project?.riv || {};
+  if (!name || !hash) return;
+  try {
+    const json = JSON.stringify(project);
+    localStorage.setItem(keyFor(name, hash), json);
+    localStorage.setItem(latestKeyFor(name), json);
+  } catch (e) {
+    console.warn('Could not save project to localStorage', e); // quota (e.g. baked images)
+  }
+}
+
+/**
+ * Last project saved for this .riv.
+ * @returns {{ project, exact: boolean } | null} exact=false when it was saved for a
+ *   different version of the file with the same name
+ */
+export function loadRecentProject(name, hash) {
+  try {
+    const exact = localStorage.getItem(keyFor(name, hash));
+    if (exact) return { project: normalizeProject(JSON.parse(exact)), exact: true };
+    const latest = localStorage.getItem(latestKeyFor(name));
+    if (latest) return { project: normalizeProject(JSON.parse(latest)), exact: false };
+  } catch (e) {
+    console.warn('Ignoring unreadable saved project', e);
+  }
+  return null;
+}
@@ -2,7 +2,7 @@
 // Works with the UMD runtime on window/globalThis as injected by:
 // <script src="https://unpkg.com/@rive-app/canvas@2.32.0"></script>
 
-function getRiveGlobal() {
+export function getRiveGlobal() {
   const R = (typeof globalThis !== "undefined" && globalThis.rive) ? globalThis.rive : null;
   if (!R || !R.Rive) {
     throw new Error(
@@ -32,6 +32,7 @@ function coerceVMValue(type, raw) {
         }
         return 0;
       }
+      case "enum":    return (raw == null) ? "" : String(raw);
       case "trigger": return null;
       case "image":   return null; // images are runtime-set; default is null
       default:        return raw;
@@ -41,19 +42,211 @@ function coerceVMValue(type, raw) {
   }
 }
 
+// Rive reports enums as "enumType"; normalise so the template only sees "enum"
+function normalizeType(type) {
+  const t = String(type || "");
+  return (t === "enumType") ? "enum" : t;
+}
+
+const MAX_VM_DEPTH = 8; // guards against self-referencing view models
+
+// Flatten a ViewModel instance into [{name, type, value, options?}] using dotted
+// paths for nested view models ("Player.Name") and list items ("Items.0.Title").
+// `defs` (the ViewModel definition's properties) is used when the instance doesn't list its own.
+// Also accepts the low-level (canvas-advanced) instances used by the Node CLI.
+export function walkViewModelInstance(vmi, prefix, out, depth, defs) {
+  const own = vmi?.properties || (typeof vmi?.getProperties === "function" ? vmi.getProperties() : null);
+  const props = (own && own.length) ? own : (defs || []);
+  for (const p of props) {
+    const path = prefix ? `${prefix}.${p.name}` : p.name;
+    const type = normalizeType(p.type);
+    try {
+      if (type === "viewModel") {
+        const child = vmi.viewModel(p.name);
+        if (child && depth < MAX_VM_DEPTH) walkViewModelInstance(child, path, out, depth + 1);
+        continue;
+      }
+      if (type === "list") {
+        const list = vmi.list(p.name);
+        const length = Number(list?.length ?? list?.size) || 0;
+        out.push({ name: path, type, value: length });
+        for (let i = 0; i < length && depth < MAX_VM_DEPTH; i++) {
+          walkViewModelInstance(list.instanceAt(i), `${path}.${i}`, out, depth + 1);
+        }
+        continue;
+      }
+      if (type === "enum") {
+        const e = vmi.enum(p.name);
+        out.push({ name: path, type, value: coerceVMValue(type, e?.value), options: Array.from(e?.values || []) });
+        continue;
+      }
+    } catch {
+      continue;
+    }
+    let raw = null;
+    try {
+      if      (type === "string")  raw = vmi.string(p.name)?.value;
+      else if (type === "number")  raw = vmi.number(p.name)?.value;
+      else if (type === "boolean") raw = vmi.boolean(p.name)?.value;
+      else if (type === "color")   raw = vmi.color(p.name)?.value;
+      else if (type === "image")   raw = null; // no static default
+    } catch {}
+    out.push({ name: path, type, value: coerceVMValue(type, raw) });
+  }
+  return out;
+}
+
+// ---------- Rive events (static scan of the .riv object stream) ----------
+// The runtime only reports events while a state machine plays, so read their names
+// from the file: header + property table of contents, then typed objects in order.
+const TYPE_ARTBOARD = 1;
+const EVENT_TYPES = { 128: "general", 131: "openUrl", 407: "audio" }; // Event, OpenUrlEvent, AudioEvent
+const PROP_NAME = 4;                                                 // ComponentBase.name
+const FIELD_UINT = 0, FIELD_STRING = 1, FIELD_DOUBLE = 2, FIELD_COLOR = 3;
+
+/**
+ * List the Rive events defined on each artboard.
+ * @param {ArrayBuffer|Uint8Array} bytes - .riv contents
+ * @returns {Object<string, Array<{name: string, type: string}>>} artboard name -> events,
+ *   or null if the file can't be read (unknown format / property missing from the ToC)
+ */
+export function scanRivEvents(bytes) {
+  const buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const utf8 = new TextDecoder();
+  let pos = 0;
+
+  const varuint = () => {
+    let result = 0, shift = 0, b;
+    do {
+      if (pos >= buf.length) throw new RangeError("truncated .riv");
+      b = buf[pos++];
+      result += (b & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (b & 0x80);
+    return result;
+  };
+  const bytesOf = (n) => {
+    if (pos + n > buf.length) throw new RangeError("truncated .riv");
+    const out = buf.subarray(pos, pos + n);
+    pos += n;
+    return out;
+  };
+
+  try {
+    if (utf8.decode(bytesOf(4)) !== "RIVE") return null;
+    varuint(); varuint(); varuint(); // major, minor, file id
+
+    // Table of contents: property keys, then their field types packed 4 per uint32
+    const keys = [];
+    for (let k = varuint(); k !== 0; k = varuint()) keys.push(k);
+    const fieldOf = new Map([[PROP_NAME, FIELD_STRING]]);
+    let bits = 0, bit = 8;
+    for (const k of keys) {
+      if (bit === 8) { bits = dv.getUint32(pos, true); pos += 4; bit = 0; }
+      fieldOf.set(k, (bits >>> bit) & 3);
+      bit += 2;
+    }
+
+    const out = {};
+    let events = null; // current artboard's list
+    while (pos < buf.length) {
+      const typeKey = varuint();
+      let name = "";
+      for (let key = varuint(); key !== 0; key = varuint()) {
+        const field = fieldOf.get(key);
+        if (field === FIELD_STRING) {
+          const value = bytesOf(varuint());
+          if (key === PROP_NAME) name = utf8.decode(value);
+        } else if (field === FIELD_UINT) {
+          varuint();
+        } else if (field === FIELD_DOUBLE || field === FIELD_COLOR) {
+          bytesOf(4);
+        } else {
+          return null; // can't skip a property we know nothing about
+        }
+      }
+      if (typeKey === TYPE_ARTBOARD) {
+        events = out[name] = out[name] || [];
+      } else if (events && EVENT_TYPES[typeKey] && name && !events.some(e => e.name === name)) {
+        events.push({ name, type: EVENT_TYPES[typeKey] });
+      }
+    }
+    return out;
+  } catch {
+    return null;
+  }
+}
+
+// Add `events` ([{name, type}]) to each artboard in contents(); [] when unreadable
+async function attachEvents(contents, src) {
+  let byArtboard = null;
+  try {
+    byArtboard = scanRivEvents(await (await fetch(src)).arrayBuffer());
+  } catch {}
+  const abs = Array.isArray(contents?.artboards) ? contents.artboards : [];
+  abs.forEach((ab) => {
+    if (ab && typeof ab === "object") ab.events = (byArtboard && byArtboard[ab.name]) || [];
+  });
+  return contents;
+}
+
+// ---------- Referenced assets ----------
+// Fonts/images/audio exported as "Referenced" aren't in the .riv; the template has to
+// supply them through the runtime's assetLoader. The loader sees every asset while the
+// file loads: in-band ones come with their bytes, CDN ones with a cdnUuid.
+export function describeAsset(asset, bytes) {
+  return {
+    name: asset.name,
+    uniqueFilename: asset.uniqueFilename, // "<name>-<assetId>.<ext>", the name Rive exports it under
+    extension: asset.fileExtension,
+    type: asset.isFont ? "font" : asset.isAudio ? "audio" : "image",
+    referenced: !(bytes && bytes.length) && !asset.cdnUuid,
+  };
+}
+
+/**
+ * Pair referenced assets with supplied files: the exported uniqueFilename first, then
+ * "<name>.<ext>", then the bare name with any extension (all case-insensitive).
+ * @param {Array} assets - describeAsset() results
+ * @param {string[]} fileNames
+ * @returns {Object<string, string>} uniqueFilename -> matching file name
+ */
+export function matchAssetFiles(assets, fileNames) {
+  const names = Array.from(fileNames || [], String);
+  const lower = names.map(n => n.toLowerCase());
+  const stem = (n) => n.replace(/\.[^.]+$/, "");
+  const out = {};
+  (assets || []).forEach((a) => {
+    const name = String(a.name || "").toLowerCase();
+    let i = lower.indexOf(String(a.uniqueFilename || "").toLowerCase());
+    if (i < 0) i = lower.indexOf(`${name}.${String(a.extension || "").toLowerCase()}`);
+    if (i < 0) i = lower.findIndex(n => stem(n) === name);
+    if (i >= 0) out[a.uniqueFilename] = names[i];
+  });
+  return out;
+}
+
 // Inspect top-level contents by instantiating once.
 // `src` can be a URL, blob:, or file path the runtime can fetch.
+// Each artboard also gets the Rive events it defines (see scanRivEvents), and
+// contents.assets lists the file's assets (see describeAsset).
 export async function inspectContents(src, canvas) {
   const { Rive } = getRiveGlobal();
   const cv = ensureCanvas(canvas);
+  const assets = [];
 
-  return new Promise((resolve, reject) => {
+  const contents = await new Promise((resolve, reject) => {
     let r = null;
     try {
       r = new Rive({
         src,
         canvas: cv,
         autoplay: false,
+        assetLoader(asset, bytes) {
+          try { assets.push(describeAsset(asset, bytes)); } catch {}
+          return false; // let the runtime handle it as usual
+        },
         onLoad() {
           Promise.resolve(
             typeof r.contents === 'function' ? r.contents() : r.contents
@@ -74,11 +267,24 @@ export async function inspectContents(src, canvas) {
       reject(e);
     }
   });
+  if (contents && typeof contents === "object") contents.assets = assets;
+  return attachEvents(contents, src);
+}
+
+// State machine input type -> "boolean" | "number" | "trigger". `types` maps the names to the
+// runtime's codes (rive.StateMachineInputType; canvas-advanced uses SMIInput.bool/number/trigger).
+export function inputTypeName(code, types) {
+  const T = types || { Number: 56, Trigger: 58, Boolean: 59 };
+  if (code === (T.Trigger ?? T.trigger)) return "trigger";
+  if (code === (T.Boolean ?? T.bool)) return "boolean";
+  return "number";
 }
 
-// Build a ViewModel-only schema (artboard + state machine + default values).
+// Build the schema (artboard + state machine + ViewModel props with default values).
+// Nested view models and list items are flattened into dotted paths. Legacy state machine
+// inputs go into stateMachineInputs: [{ name, type: "boolean"|"number"|"trigger", value }].
 export async function buildSchema(src, canvas, artboard, stateMachine) {
-  const { Rive } = getRiveGlobal();
+  const { Rive, StateMachineInputType } = getRiveGlobal();
   const cv = ensureCanvas(canvas);
 
   return new Promise((resolve, reject) => {
@@ -97,25 +303,32 @@ export async function buildSchema(src, canvas, artboard, stateMachine) {
             const vm  = (typeof r.defaultViewModel === "function") ? r.defaultViewModel() : null;
             const vmi = r.viewModelInstance || null;
 
-            const props = vm?.properties || []; // [{name, type}, ...]
-            viewModelProps = Array.isArray(props)
-              ? props.map(p => {
-                  let raw = null;
-                  try {
-                    if      (p.type === "string")  raw = vmi?.string(p.name)?.value;
-                    else if (p.type === "number")  raw = vmi?.number(p.name)?.value;
-                    else if (p.type === "boolean") raw = vmi?.boolean(p.name)?.value;
-                    else if (p.type === "color")   raw = vmi?.color(p.name)?.value;
-                    else if (p.type === "image")   raw = null; // no static default
-                  } catch {}
-                  return { name: p.name, type: p.type, value: coerceVMValue(p.type, raw) };
-                })
-              : [];
+            if (vmi) {
+              viewModelProps = walkViewModelInstance(vmi, "", [], 0, vm?.properties);
+            } else {
+              // No bound instance: names/types only
+              const props = vm?.properties || [];
+              viewModelProps = props.map(p => {
+                const type = normalizeType(p.type);
+                return { name: p.name, type, value: coerceVMValue(type, null) };
+              });
+            }
           } catch {
             viewModelProps = [];
           }
 
-          resolve({ artboard: artboard || "", stateMachine: stateMachine || "", viewModelProps });
+          let stateMachineInputs = [];
+          try {
+            const inputs = (stateMachine && typeof r.stateMachineInputs === "function") ? r.stateMachineInputs(stateMachine) : null;
+            stateMachineInputs = Array.from(inputs || [], (inp) => {
+              const type = inputTypeName(inp.type, StateMachineInputType);
+              return { name: inp.name, type, value: type === "trigger" ? null : coerceVMValue(type, inp.value) };
+            });
+          } catch {
+            stateMachineInputs = [];
+          }
+
+          resolve({ artboard: artboard || "", stateMachine: stateMachine || "", viewModelProps, stateMachineInputs });
           try { r.cleanup && r.cleanup(); } catch {}
         },
         onLoadError(e) {
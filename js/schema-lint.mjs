@@ -0,0 +1,96 @@
+// public/js/schema-lint.mjs
+// Checks a schema + buildTemplate options for things the generated template gets wrong
+// or that fail on air. Errors block the template download; warnings are shown only.
+
+export const EMBED_WARN_BYTES = 5 * 1024 * 1024;
+
+// Characters that can't go into the template's string literals as-is
+const UNSAFE_NAME = /["\\\u0000-\u001f\u2028\u2029]|<\//;
+
+const mb = (n) => (n / 1024 / 1024).toFixed(1);
+
+// Base64 / inline code the template will carry
+function embeddedBytes(opts) {
+  if (opts.embeddedBytes != null) return Number(opts.embeddedBytes) || 0;
+  const len = (s) => (s ? String(s).length : 0);
+  const assets = opts.assets?.embed && Array.isArray(opts.assets.files) ? opts.assets.files : [];
+  return (opts.embed ? len(opts.base64) : 0)
+    + (opts.runtimeSource === 'inline' ? len(opts.runtimeJs) + len(opts.runtimeWasmBase64) : 0)
+    + assets.reduce((n, f) => n + len(f?.base64), 0);
+}
+
+/**
+ * Lint a template before it's built.
+ * @param {object} schema - { viewModelProps: [...] }
+ * @param {object} [opts] - buildTemplate options; embeddedBytes overrides the size
+ *   worked out from base64/runtimeJs/runtimeWasmBase64/assets (e.g. an estimate before reading files),
+ *   runtimeFiles ({ js, wasm } booleans) says which runtime files were picked for inlining
+ * @returns {Array<{ level: 'error'|'warning', message: string }>}
+ */
+export function lintTemplate(schema, opts = {}) {
+  const out = [];
+  const error = (message) => out.push({ level: 'error', message });
+  const warn = (message) => out.push({ level: 'warning', message });
+  const vprops = Array.isArray(schema?.viewModelProps) ? schema.viewModelProps : [];
+  const inputs = Array.isArray(schema?.stateMachineInputs) ? schema.stateMachineInputs : [];
+  const aliases = Array.isArray(opts.fieldAliases) ? opts.fieldAliases : [];
+  const t = opts.casparTriggers || {};
+
+  // Names are written into the template as JS strings (JSON.stringify leaves "</script" alone);
+  // alias targets / triggers that name a prop or input are reported once, under that name
+  const unsafe = (s) => s != null && UNSAFE_NAME.test(String(s));
+  const known = (name) => vprops.some(p => p.name === name) || inputs.some(i => i.name === name);
+  const why = 'has quotes, backslashes, line breaks or "</" in its name';
+  vprops.filter(p => unsafe(p.name)).forEach((p) => {
+    error(`Property ${JSON.stringify(p.name)} ${why}; rename it in Rive.`);
+  });
+  inputs.filter(i => unsafe(i.name)).forEach((i) => {
+    error(`State machine input ${JSON.stringify(i.name)} ${why}; rename it in Rive.`);
+  });
+  aliases.forEach((a) => {
+    if (unsafe(a?.alias)) error(`Alias ${JSON.stringify(a.alias)} ${why}; rename it.`);
+    if (unsafe(a?.prop) && !known(a.prop)) error(`Alias target ${JSON.stringify(a.prop)} ${why}.`);
+  });
+  ['in', 'out', 'next'].filter(k => unsafe(t[k]) && !known(t[k]))
+    .forEach(k => error(`The ${k} trigger ${JSON.stringify(t[k])} ${why}.`));
+
+  // The case-insensitive fallback keeps only one property per lower-cased name
+  const byLower = {};
+  vprops.forEach((p) => { (byLower[String(p.name).toLowerCase()] ||= []).push(p.name); });
+  Object.values(byLower).filter(names => names.length > 1).forEach((names) => {
+    warn(`Properties ${names.join(', ')} differ only in case; UPDATE keys must match their case exactly.`);
+  });
+
+  // Keys go to the ViewModel first; a state machine input of the same name is never set
+  const vmNames = new Set(vprops.map(p => String(p.name).toLowerCase()));
+  inputs.filter(i => vmNames.has(String(i.name).toLowerCase()))
+    .forEach((i) => warn(`State machine input "${i.name}" has the same name as a ViewModel property; UPDATE keys set the property.`));
+
+  // Alias formatting makes text; the template drops it for non-string props
+  const typeOf = {};
+  inputs.forEach((i) => { typeOf[i.name] = i.type; });
+  vprops.forEach((p) => { typeOf[p.name] = p.type; });
+  aliases.forEach((a) => {
+    const type = a && typeOf[a.prop];
+    if (!type || type === 'string') return;
+    const dropped = ['case', 'thousands', 'prefix', 'suffix'].filter(k => a[k]);
+    if (type !== 'number' && a.decimals !== '' && a.decimals != null) dropped.unshift('decimals');
+    if (dropped.length) warn(`Alias "${a.alias}" formats its value (${dropped.join(', ')}) but "${a.prop}" is a ${type} property; that formatting is ignored.`);
+  });
+
+  if (t.in && t.in === t.out) error(`"${t.in}" is both the in and the out trigger.`);
+  if (t.next && (t.next === t.in || t.next === t.out)) {
+    warn(`"${t.next}" is the next trigger and also the ${t.next === t.in ? 'in' : 'out'} trigger.`);
+  }
+
+  const picked = opts.runtimeFiles;
+  if (opts.runtimeSource === 'inline' && picked && !picked.js !== !picked.wasm) {
+    error(`Inline runtime: ${picked.js ? 'rive.wasm' : 'rive.js'} is missing; pick both files (or neither, to inline the CDN build).`);
+  }
+
+  const bytes = embeddedBytes(opts);
+  if (bytes > EMBED_WARN_BYTES) {
+    warn(`The template embeds ${mb(bytes)} MB of Base64/runtime code; it will load slowly. Consider compressing or not embedding the .riv, or not inlining the runtime.`);
+  }
+  return out;
+}
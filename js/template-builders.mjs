@@ -1,24 +1,107 @@
 // public/js/template-builders.mjs
-// Generates a single-file HTML template for CasparCG (front-end only).
-// - Robust UPDATE handling (XML or lenient JSON)
+// Generates a single-file HTML template for CasparCG or OBS (front-end only).
+// - Robust UPDATE handling (XML or lenient JSON, see payload-parsers.mjs)
 // - Early update() stub to capture ADD data before the page loads
 // - Queues updates until Rive/ViewModel are ready; drains before first PLAY
-// - Optional Base64 embedding of .riv (safe, no giant JS string)
+// - Optional Base64 embedding of .riv (safe, no giant JS string), optionally gzip/deflate
+//   compressed and inflated with DecompressionStream (inline inflate as the fallback)
 // - ES5-safe inline JS for Caspar's CEF
-// - Supports string/number/boolean/color/trigger/image ViewModel props
+// - Supports string/number/boolean/color/enum/trigger/image ViewModel props,
+//   including nested view models / list items addressed by dotted path
+// - Image values: data:/b64: Base64, http(s)/file:// URLs or local/relative paths;
+//   decoded images are cached and preloaded so PLAY waits for them (?imageWait=ms)
+// - OBS target: in/out driven by Browser Source visibility/active events
+// - Rive runtime from CDN, inlined (JS + WASM, fully offline) or a local path
+// - Configurable canvas size, Rive Layout fit/alignment and device pixel ratio,
+//   with URL overrides and reserved _x/_y/_scale UPDATE keys for stage offsets
+// - STOP waits for the out animation (Rive event / state / timeout) before REMOVE
+//   cleans up; posts "playing" / "stopping" / "outComplete" / "removed" to the host page
+// - Rive events are forwarded to the host page, the console and an optional
+//   WebSocket / HTTP callback URL
+// - Optional data feed: poll a JSON/CSV URL or subscribe to Server-Sent Events;
+//   mapped fields go through the UPDATE path when they change (see feed-parsers.mjs)
+// - Optional WebSocket control channel ({cmd, data, id, channel}) for hosts without
+//   AMCP; reconnects automatically and reports status back
+// - Multi-page data: UPDATE with "_pages" (or a JSON array) and NEXT steps through the
+//   pages, with an optional change trigger / out-in between pages, loop and auto-advance
+// - Field aliases (e.g. Caspar's f0/f1) mapped onto ViewModel props, with optional
+//   value transforms (case, number format, prefix/suffix)
+// - Referenced (out-of-band) fonts/images/audio loaded through the runtime's assetLoader,
+//   embedded as Base64 or fetched from a folder next to the template
+// - Debug overlay (?debug=1 or debug: true): ViewModel values, last raw/parsed UPDATE,
+//   unmatched keys, triggers, state machine state and FPS
+// - SPX-GC target: same API plus the SPXGCTemplateDefinition block (fields from the
+//   ViewModel props, playout settings) that SPX reads from the HTML
+// - Legacy state machine inputs (boolean/number/trigger): set by UPDATE keys and
+//   vm.<name> / input.<name> URL params that match no ViewModel prop, and usable as
+//   in/out/next triggers
 //
 // Usage:
 //   const html = buildTemplate(schema, {
+//     target: "caspar" | "obs" | "spx",  // default "caspar"
 //     runtime: "canvas" | "webgl",
 //     embed: true | false,
 //     base64: "<riv as base64>",   // required if embed=true
+//     embedCompression: "" | "gzip" | "deflate",  // how base64 was compressed (default none)
 //     rivPath: "./graphics.riv",   // used if embed=false
 //     casparTriggers: { in: "IN", out: "OUT", next: null },
-//     // optional baked defaults (mostly useful for testing)
+//     // where the Rive runtime comes from at play-out time (default "cdn")
+//     runtimeSource: "cdn" | "inline" | "local",
+//     runtimeJs: "<rive.js source>",         // required if runtimeSource="inline"
+//     runtimeWasmBase64: "<rive.wasm b64>",  // required if runtimeSource="inline"
+//     runtimePath: "./rive/",                // folder with rive.js + rive.wasm if "local"
+//     // stage: canvas resolution; fillViewport stretches the stage to the page (default true)
+//     width: 1920, height: 1080, fillViewport: true,
+//     fit: "contain", alignment: "center",  // Rive Layout (rive.Fit / rive.Alignment values)
+//     pixelRatio: 0,                        // 0 = device pixel ratio
+//     // OBS only: which Browser Source event plays/stops the graphic
+//     obs: { drive: "visible" | "active" | "manual", autoplay: false },
+//     // when the out trigger's animation is done; REMOVE waits for it (timeout alone = fixed wait)
+//     outComplete: { event: "OutComplete", state: "", timeoutMs: 3000, clear: true },
+//     // Rive events + outComplete/removed are also sent here (ws:// or http(s):// POST)
+//     eventCallbackUrl: "ws://127.0.0.1:8080/graphics",
+//     // live data without CG UPDATE; map = { VMName: "path.in.record" } (empty = use keys as-is)
+//     feed: { url: "http://127.0.0.1:8090/score.json", mode: "poll" | "sse",
+//             format: "auto" | "json" | "csv", intervalMs: 2000, map: { Home: "home.score" } },
+//     // remote control; id defaults to the template's file name, channel groups graphics
+//     control: { url: "ws://127.0.0.1:8080/control", id: "lower-third", channel: "1" },
+//     // NEXT through UPDATE {"_pages": [{...}, ...]}; transition "none" | "trigger" | "outIn"
+//     pages: { transition: "trigger", trigger: "Change", atEnd: "hold" | "loop" | "stop", autoMs: 0 },
+//     // incoming key -> ViewModel prop; case "upper" | "lower" | "title", decimals/thousands format numbers
+//     // (string props only; number props are just rounded to decimals)
+//     fieldAliases: [{ alias: "f0", prop: "Title", case: "upper", decimals: null, thousands: "",
+//                      prefix: "", suffix: "" }],
+//     // SPX only: playout settings for SPXGCTemplateDefinition (see buildSpxDefinition)
+//     spx: { description: "Lower third", playserver: "OVERLAY", playchannel: "1", playlayer: "7",
+//            webplayout: "7", out: "manual", steps: 0, assetFolder: "./images/", imageExtension: "png" },
+//     // referenced assets by uniqueFilename ("Inter-594377.ttf", see rive-introspect describeAsset);
+//     // unlisted ones are fetched as path + uniqueFilename
+//     assets: { embed: false, path: "./", files: [{ name: "Inter-594377.ttf", file: "Inter.ttf", base64: "..." }] },
+//     debug: false,  // on-screen debug overlay; ?debug=1 / ?debug=0 override
+//     // optional baked defaults (e.g. channel-specific text/colors/images)
 //     vmDefaults: { Title: "Hello", Headshot: "data:image/png;base64,..." },
 //   });
 
+import { payloadParsersSource } from "./payload-parsers.mjs";
+import { inflateSource } from "./inflate.mjs";
+import { feedParsersSource } from "./feed-parsers.mjs";
+
+export const RIVE_VERSION = "2.32.0";
+
+export const FITS = ["contain", "cover", "fill", "fitWidth", "fitHeight", "none", "scaleDown", "layout"];
+export const ALIGNMENTS = ["center", "topLeft", "topCenter", "topRight", "centerLeft", "centerRight", "bottomLeft", "bottomCenter", "bottomRight"];
+// Compression formats for the embedded .riv (CompressionStream / DecompressionStream names)
+export const COMPRESSIONS = ["gzip", "deflate"];
+
+// CDN URLs of the runtime files for a given runtime ("canvas" | "webgl")
+export function riveRuntimeUrls(runtime) {
+  const pkg = runtime === "webgl" ? "webgl" : "canvas";
+  const base = `https://unpkg.com/@rive-app/${pkg}@${RIVE_VERSION}`;
+  return { js: `${base}/rive.js`, wasm: `${base}/rive.wasm` };
+}
+
 export function buildTemplate(schema = {}, opts = {}) {
+  const target  = ["obs", "spx"].indexOf(opts.target) >= 0 ? opts.target : "caspar";
   const runtime = opts.runtime === "webgl" ? "webgl" : "canvas";
 
   const artboard = schema.artboard || "";
@@ -28,14 +111,82 @@ export function buildTemplate(schema = {}, opts = {}) {
   const embed = !!opts.embed;
   const rivBase64 = embed ? (opts.base64 || "") : "";
   const rivPath   = !embed ? (opts.rivPath || "./graphics.riv") : "";
+  const embedCompression = embed && COMPRESSIONS.indexOf(opts.embedCompression) >= 0 ? opts.embedCompression : "";
 
   const casparTriggers = opts.casparTriggers || {};   // { in?, out?, next? }
   const vmDefaults = opts.vmDefaults && typeof opts.vmDefaults === "object" ? opts.vmDefaults : null;
+  const stageWidth  = Math.max(1, Math.round(Number(opts.width)) || 1920);
+  const stageHeight = Math.max(1, Math.round(Number(opts.height)) || 1080);
+  const fillViewport = opts.fillViewport !== false;
+  const fit = FITS.indexOf(opts.fit) >= 0 ? opts.fit : "contain";
+  const alignment = ALIGNMENTS.indexOf(opts.alignment) >= 0 ? opts.alignment : "center";
+  const pixelRatio = Number(opts.pixelRatio) > 0 ? Number(opts.pixelRatio) : 0;
+
+  const obsOpts = opts.obs || {};
+  const obsDrive = ["visible", "active", "manual"].indexOf(obsOpts.drive) >= 0 ? obsOpts.drive : "visible";
+
+  const outOpts = opts.outComplete || {};
+  const outEvent = String(outOpts.event || "");
+  const outState = String(outOpts.state || "");
+  const outTimeoutMs = outOpts.timeoutMs == null || outOpts.timeoutMs === "" ? 3000 : Math.max(0, Math.round(Number(outOpts.timeoutMs)) || 0);
+  const outClear = !!outOpts.clear;
+  const eventCallbackUrl = String(opts.eventCallbackUrl || "");
+
+  const feedOpts = opts.feed || {};
+  const feedUrl = String(feedOpts.url || "");
+  const feedMode = feedOpts.mode === "sse" ? "sse" : "poll";
+  const feedFormat = ["json", "csv"].indexOf(feedOpts.format) >= 0 ? feedOpts.format : "auto";
+  const feedIntervalMs = Number(feedOpts.intervalMs) >= 0 && feedOpts.intervalMs != null && feedOpts.intervalMs !== "" ? Math.round(Number(feedOpts.intervalMs)) : 5000;
+  const feedMap = feedOpts.map && typeof feedOpts.map === "object" ? feedOpts.map : {};
+
+  const controlOpts = opts.control || {};
+
+  const pagesOpts = opts.pages || {};
+  const pagesTransition = ["trigger", "outIn"].indexOf(pagesOpts.transition) >= 0 ? pagesOpts.transition : "none";
+  const pagesAtEnd = ["loop", "stop"].indexOf(pagesOpts.atEnd) >= 0 ? pagesOpts.atEnd : "hold";
+  const pagesAutoMs = Math.max(0, Math.round(Number(pagesOpts.autoMs)) || 0);
+
+  const propTypes = {};
+  (Array.isArray(schema.stateMachineInputs) ? schema.stateMachineInputs : []).forEach((i) => { propTypes[i.name] = i.type; });
+  vprops.forEach((p) => { propTypes[p.name] = p.type; });
+  const aliasesLiteral = aliasTable(opts.fieldAliases, propTypes);
+
+  // Referenced assets: uniqueFilename -> "#<script id>" (embedded) or a file name under assetPath
+  const assetOpts = opts.assets || {};
+  const assetPath = String(assetOpts.path || "./").replace(/\/?$/, "/");
+  const assetMap = {};
+  const assetTags = [];
+  (Array.isArray(assetOpts.files) ? assetOpts.files : []).forEach((f) => {
+    if (!f || !f.name) return;
+    if (assetOpts.embed && f.base64) {
+      const id = `rive-asset-${assetTags.length}`;
+      assetTags.push(`<script type="application/octet-stream" id="${id}">${String(f.base64).replace(/<\/script/gi, '<\\/script')}</script>`);
+      assetMap[f.name] = "#" + id;
+    } else if (f.file) {
+      assetMap[f.name] = String(f.file);
+    }
+  });
+
+  const runtimeSource = ["inline", "local"].indexOf(opts.runtimeSource) >= 0 ? opts.runtimeSource : "cdn";
+  const runtimePath = String(opts.runtimePath || "./rive/").replace(/\/?$/, "/");
+  const runtimeWasmBase64 = runtimeSource === "inline" ? (opts.runtimeWasmBase64 || "") : "";
+
+  let runtimeScript;
+  if (runtimeSource === "inline") {
+    runtimeScript = `<script>${String(opts.runtimeJs || "").replace(/<\/script/gi, '<\\/script')}</script>`;
+  } else if (runtimeSource === "local") {
+    runtimeScript = `<script src=${JSON.stringify(runtimePath + "rive.js")}></script>`;
+  } else {
+    runtimeScript = `<script src="https://unpkg.com/@rive-app/${runtime}@${RIVE_VERSION}"></script>`;
+  }
 
-  const runtimeScript =
-    runtime === "webgl"
-      ? '<script src="https://unpkg.com/@rive-app/webgl@2.32.0"></script>'
-      : '<script src="https://unpkg.com/@rive-app/canvas@2.32.0"></script>';
+  // Point the runtime at its .wasm (inline bytes or local path); CDN mode uses the runtime's default
+  const wasmTag = `<script type="application/octet-stream" id="rive-wasm-b64">${runtimeWasmBase64}</script>`;
+  const wasmSetup = runtimeSource === "inline"
+    ? `try { var __wasmB64 = getEmbeddedBase64('rive-wasm-b64'); if (__wasmB64 && rive.RuntimeLoader) rive.RuntimeLoader.setWasmUrl(base64ToBlobUrl(__wasmB64, "application/wasm")); } catch(e){ console.error("Inline WASM setup failed", e); }`
+    : runtimeSource === "local"
+      ? `try { if (rive.RuntimeLoader) rive.RuntimeLoader.setWasmUrl(${JSON.stringify(runtimePath + "rive.wasm")}); } catch(e){ console.error("Local WASM setup failed", e); }`
+      : "";
 
   // Optional URL param → VM setters (handy for quick tests)
   const urlSetters = vprops.map(setterLine).filter(Boolean).join("\n      ");
@@ -72,91 +223,92 @@ export function buildTemplate(schema = {}, opts = {}) {
     var __firstPlayWaitMs = 250; // adjust if needed
     var __pendingUpdates = [];   // holds parsed objects until vmi exists
 
-    function textByTag(root, tag){
-      try { var el = root.getElementsByTagName(tag)[0]; return el ? (el.textContent || '') : ''; } catch(e){ return ''; }
+    // Pages: UPDATE {"_pages": [{...}, {...}], ...shared} (or a bare JSON array); NEXT shows the
+    // following page. XML payloads can carry "_pages" as a JSON string.
+    var PAGES = {
+      list: [],
+      index: 0,
+      transition: ${JSON.stringify(pagesTransition)},
+      trigger: ${JSON.stringify(String(pagesOpts.trigger || ""))},
+      atEnd: params.get("pagesEnd") || ${JSON.stringify(pagesAtEnd)},
+      autoMs: numParam("pageInterval", ${pagesAutoMs}),
+      timer: null
+    };
+    function isArray(a){ return Object.prototype.toString.call(a) === "[object Array]"; }
+    // Pull pages out of an UPDATE; returns the shared keys merged with the first page.
+    // An UPDATE without pages ends the rundown, so NEXT can't bring old pages back.
+    function takePages(obj){
+      var pages = obj && obj._pages, out = {}, k;
+      if (isArray(obj)) { pages = obj; obj = {}; }
+      if (pages == null) { PAGES.list = []; PAGES.index = 0; clearPageTimer(); return obj; }
+      if (typeof pages === "string") { try { pages = JSON.parse(pages); } catch(e){ pages = []; } }
+      PAGES.list = isArray(pages) ? pages : [];
+      PAGES.index = 0;
+      for (var p=1;p<PAGES.list.length;p++) preloadImages(PAGES.list[p]);
+      clearPageTimer();
+      for (k in obj) if (obj.hasOwnProperty(k) && k !== "_pages") out[k] = obj[k];
+      var first = PAGES.list[0];
+      if (first && typeof first === "object") for (k in first) if (first.hasOwnProperty(k)) out[k] = first[k];
+      return out;
     }
-    function parseTemplateDataXml(raw){
-      try{
-        var doc = new DOMParser().parseFromString(String(raw), 'application/xml');
-        var out = {};
-        var nodes = doc.getElementsByTagName('componentData');
-        if (!nodes || !nodes.length) nodes = doc.getElementsByTagName('componentdata');
-        for (var i=0;i<(nodes?nodes.length:0);i++){
-          var n = nodes[i];
-          var id = n.getAttribute('id') || textByTag(n, 'id');
-          var dataEl = n.getElementsByTagName('data')[0] || null;
-          var val = dataEl ? (dataEl.getAttribute('value') || dataEl.textContent || '') : textByTag(n, 'value');
-          if (id) out[id] = (val == null ? '' : String(val));
-        }
-        return out;
-      } catch(e){ return {}; }
+    function clearPageTimer(){ if (PAGES.timer){ clearTimeout(PAGES.timer); PAGES.timer = null; } }
+    function schedulePage(){
+      clearPageTimer();
+      if (PAGES.autoMs > 0 && PAGES.list.length > 1) PAGES.timer = setTimeout(nextPage, PAGES.autoMs);
     }
-    function stripBomAndTrim(s){ return String(s||'').replace(/^\\uFEFF/, '').trim(); }
-    function unwrapIfQuoted(s){
-      if (s.length >= 2 && ((s[0] === '"' && s[s.length-1] === '"') || (s[0] === "'" && s[s.length-1] === "'"))) {
-        return s.slice(1, -1);
-      }
-      return s;
+    function showPage(i){
+      PAGES.index = i;
+      var page = PAGES.list[i];
+      if (page && typeof page === "object") apply(page);
+      notifyHost("page", { index: i, count: PAGES.list.length });
     }
-    function escapeBareNewlinesInJson(s){ return String(s).replace(/\\r?\\n/g, '\\\\n'); }
-    function normalizeCasparJsonObject(o){
-      if (!o || typeof o !== 'object') return {};
-      var td = o.templateData || o.templatedata;
-      if (td){
-        var arr = td.componentData || td.componentdata || [];
-        var map = {};
-        for (var i=0;i<arr.length;i++){
-          var it = arr[i] || {};
-          var id = it.id || it.componentId || it.name;
-          var val = (it.data && (it.data.value!=null ? it.data.value : it.data.text)) || it.value || '';
-          if (id) map[id] = String(val);
+    function nextPage(){
+      clearPageTimer();
+      var count = PAGES.list.length, i = PAGES.index + 1;
+      if (i >= count){
+        if (PAGES.atEnd !== "loop"){
+          notifyHost("pagesEnd", { count: count });
+          if (PAGES.atEnd === "stop") window.stop();
+          return;
         }
-        return map;
+        i = 0;
       }
-      return o; // assume already flat map
-    }
-    function parseCasparJsonStrict(s){
-      var o = (typeof s === 'string') ? JSON.parse(s) : s;
-      return normalizeCasparJsonObject(o);
-    }
-    function parseCasparJsonLenient(raw){
-      try{
-        if (typeof raw === 'string') return parseCasparJsonStrict(raw);
-        return normalizeCasparJsonObject(raw);
-      } catch(_) {
-        try {
-          var s = (typeof raw === 'string') ? raw : JSON.stringify(raw);
-          s = stripBomAndTrim(s);
-          s = unwrapIfQuoted(s);
-          s = escapeBareNewlinesInJson(s);
-          return parseCasparJsonStrict(s);
-        } catch(__) {
-          var s2 = (typeof raw === 'string') ? raw : '';
-          var out = {};
-          s2.replace(/[\\r\\n]+/g, ' ').replace(/"([^"\\\\]+)"\\s*:\\s*"([^"\\\\]*)"/g, function(_, k, v){ out[k] = v; });
-          return out;
-        }
+      if (PAGES.transition === "outIn" && ${casparTriggers.out ? `fireVmTrigger(${JSON.stringify(casparTriggers.out)})` : "false"}){
+        beginOut();
+        afterOut(function(){ showPage(i); __doPlayNow(); });
+        return;
       }
+      showPage(i);
+      if (PAGES.transition === "trigger" && PAGES.trigger) fireVmTrigger(PAGES.trigger);
+      schedulePage();
     }
 
+    // Payload parsers (payload-parsers.mjs): parsePayload, parseTemplateDataXml, ...
+    ${payloadParsersSource()}
+
+    var __playToken = 0; // bumped by STOP so a PLAY still waiting for images is dropped
     function __doPlayNow(){
-      try { if (r && r.play) r.play(); } catch(e){}
-      ${casparTriggers.in ? `fireVmTrigger(${JSON.stringify(casparTriggers.in)});` : ""}
+      debugLog("play");
+      cancelOut();
+      var token = ++__playToken;
+      whenImagesReady(function(){
+        if (token !== __playToken) return;
+        notifyHost("playing");
+        try { if (r && r.play) r.play(); } catch(e){}
+        ${casparTriggers.in ? `fireVmTrigger(${JSON.stringify(casparTriggers.in)});` : ""}
+        schedulePage();
+      });
     }
 
     // Real handlers (replace early stubs)
     function __realUpdate(raw){
       try{
         if (raw == null) return;
-        var obj = {};
-        if (typeof raw === 'string'){
-          var s = stripBomAndTrim(raw);
-          var first = s.replace(/^[\\s\\r\\n]+/,'').charAt(0);
-          obj = (first === '<') ? parseTemplateDataXml(s) : parseCasparJsonLenient(s);
-        } else if (typeof raw === 'object') {
-          obj = parseCasparJsonLenient(raw);
-        }
-        if (!vmi){ __pendingUpdates.push(obj); return; }
+        __imgGen++; // file images are read again on every UPDATE
+        var obj = takePages(parsePayload(raw));
+        debugPayload(raw, obj);
+        preloadImages(obj);
+        if (!vmi && !inputs){ __pendingUpdates.push(obj); return; }
         apply(obj);
         __hasUpdatedOnce = true;
         if (__firstPlayPending){
@@ -164,7 +316,7 @@ export function buildTemplate(schema = {}, opts = {}) {
           if (__firstPlayTimer){ clearTimeout(__firstPlayTimer); __firstPlayTimer = null; }
           __doPlayNow();
         }
-      } catch(e){ console.error("UPDATE parse error", e); }
+      } catch(e){ console.error("UPDATE parse error", e); debugLog("UPDATE error: " + (e && e.message || e)); }
     }
     window.update  = __realUpdate;
     window.data    = __realUpdate;
@@ -186,31 +338,279 @@ export function buildTemplate(schema = {}, opts = {}) {
       }
       __doPlayNow();
     };
-    window.next   = function(){ ${casparTriggers.next ? `fireVmTrigger(${JSON.stringify(casparTriggers.next)});` : ""} };
-    window.stop   = function(){ var fired = ${casparTriggers.out ? `fireVmTrigger(${JSON.stringify(casparTriggers.out)})` : `false`}; if (!fired) { try { if (r && r.stop) r.stop(); } catch(e){} } };
-    window.remove = function(){ try { if (r && r.cleanup) r.cleanup(); } catch(e){} };
+    window.next   = function(){
+      debugLog("next");
+      if (PAGES.list.length > 1) { nextPage(); return; }
+      ${casparTriggers.next ? `fireVmTrigger(${JSON.stringify(casparTriggers.next)});` : ""}
+    };
+    window.stop   = function(){
+      debugLog("stop");
+      __playToken++;
+      clearPageTimer();
+      var fired = ${casparTriggers.out ? `fireVmTrigger(${JSON.stringify(casparTriggers.out)})` : `false`};
+      if (fired) { beginOut(); notifyHost("stopping"); return; }
+      try { if (r && r.stop) r.stop(); } catch(e){}
+      notifyHost("outComplete", { reason: "stop" });
+    };
+    // Caspar calls REMOVE right after STOP; let the out animation finish first
+    window.remove = function(){
+      afterOut(function(){
+        try { if (r && r.cleanup) r.cleanup(); } catch(e){}
+        notifyHost("removed");
+      });
+    };
+  `;
+
+  // OBS Browser Source: URL params + source visibility/active events drive the Caspar-style API
+  const obsApi = target !== "obs" ? "" : `
+    // --- OBS Browser Source controls ---
+    // ?drive=visible|active|manual  which OBS event fires in/out; OBS only reports changes,
+    //                              so "visible" also plays a page that loads while shown
+    // ?autoplay=1                   play once loaded (e.g. outside OBS or for always-on sources)
+    // ?data={"Title":"..."}         initial UPDATE payload (JSON or Caspar XML)
+    var OBS_DRIVE = String(params.get("drive") || ${JSON.stringify(obsDrive)}).toLowerCase();
+    var OBS_AUTOPLAY = params.has("autoplay") ? (params.get("autoplay") === "1" || params.get("autoplay") === "true") : ${obsOpts.autoplay ? "true" : "false"};
+    var __obsShown = false;
+
+    function __obsShow(yes){
+      if (yes === __obsShown) return;
+      __obsShown = yes;
+      // Events can arrive before the .riv has loaded; defer until it has
+      whenLoaded(function(){ if (__obsShown === yes) { if (yes) window.play(); else window.stop(); } });
+    }
+
+    try { if (params.get("data") != null) window.update(params.get("data")); } catch(e){}
+
+    if (OBS_DRIVE === "visible"){
+      window.addEventListener("obsSourceVisibleChanged", function(ev){ __obsShow(!!(ev && ev.detail && ev.detail.visible)); });
+      // No event for a source that is already showing: start from the page's own visibility
+      if (document.visibilityState !== "hidden") __obsShow(true);
+    } else if (OBS_DRIVE === "active"){
+      window.addEventListener("obsSourceActiveChanged", function(ev){ __obsShow(!!(ev && ev.detail && ev.detail.active)); });
+    }
+    if (OBS_AUTOPLAY) __obsShow(true);
+  `;
+
+  // Data feed: polled / streamed records pushed through __realUpdate (changed keys only)
+  const feedApi = `
+    // --- Data feed ---
+    // ?feed=<url>&feedMode=poll|sse&feedInterval=<ms> override the built-in feed
+    var FEED = {
+      url: params.get("feed") || ${JSON.stringify(feedUrl)},
+      mode: params.get("feedMode") || ${JSON.stringify(feedMode)},
+      format: ${JSON.stringify(feedFormat)},
+      intervalMs: numParam("feedInterval", ${feedIntervalMs}),
+      map: ${JSON.stringify(feedMap)}
+    };
+    var __feedLast = {};       // last value per key, for change detection
+    var __feedFails = 0;
+    var __feedSource = null;
+
+    // Feed parsers (feed-parsers.mjs): pickPath, parseCsv, feedRecord
+    ${feedParsersSource()}
+    function feedApply(text){
+      var rec = feedRecord(text, FEED.format, FEED.map), changed = {}, any = false;
+      for (var k in rec){
+        if (!rec.hasOwnProperty(k)) continue;
+        var key = (rec[k] && typeof rec[k] === "object") ? JSON.stringify(rec[k]) : String(rec[k]);
+        if (__feedLast[k] === key) continue;
+        __feedLast[k] = key;
+        changed[k] = (rec[k] && typeof rec[k] === "object") ? key : rec[k];
+        any = true;
+      }
+      if (any) __realUpdate(changed);
+    }
+    // Back off on failures: interval * 2^fails, capped at a minute
+    function feedDelay(){
+      var base = FEED.intervalMs || 1000;
+      return __feedFails ? Math.min(base * Math.pow(2, __feedFails), 60000) : FEED.intervalMs;
+    }
+    function pollFeed(){
+      var x = new XMLHttpRequest();
+      x.onreadystatechange = function(){
+        if (x.readyState !== 4) return;
+        var ok = (x.status >= 200 && x.status < 300) || (x.status === 0 && !!x.responseText); // file:// has no status
+        if (ok) {
+          try { feedApply(x.responseText); } catch(e){ ok = false; console.warn("[rive-cg] feed parse error", e); }
+        }
+        __feedFails = ok ? 0 : __feedFails + 1;
+        if (!ok) console.warn("[rive-cg] feed failed (" + x.status + "), retrying in " + feedDelay() + "ms");
+        if (FEED.intervalMs > 0 || !ok) setTimeout(pollFeed, feedDelay());
+      };
+      try {
+        x.open("GET", FEED.url, true);
+        x.timeout = 10000;
+        x.send();
+      } catch(e){ __feedFails++; setTimeout(pollFeed, feedDelay()); }
+    }
+    function streamFeed(){
+      if (typeof EventSource === "undefined") { console.warn("[rive-cg] EventSource unsupported; polling instead"); pollFeed(); return; }
+      __feedSource = new EventSource(FEED.url);
+      __feedSource.onopen = function(){ __feedFails = 0; };
+      __feedSource.onmessage = function(ev){
+        try { feedApply(ev.data); } catch(e){ console.warn("[rive-cg] feed parse error", e); }
+      };
+      __feedSource.onerror = function(){
+        // EventSource retries dropped connections itself; only a closed source needs us
+        if (!__feedSource || __feedSource.readyState !== 2) return;
+        __feedSource = null;
+        __feedFails++;
+        setTimeout(streamFeed, feedDelay());
+      };
+    }
+    if (FEED.url) whenLoaded(function(){ if (FEED.mode === "sse") streamFeed(); else pollFeed(); });
+  `;
+
+  // Control channel: a controller drives play/stop/next/update over a WebSocket
+  const controlApi = `
+    // --- WebSocket control ---
+    // ?control=ws://...&id=<graphic id>&channel=<group> override the built-in settings.
+    // Accepts {cmd: "play"|"stop"|"next"|"update"|"remove"|"status", data?, id?, channel?, ref?};
+    // messages for another id/channel are ignored, id "*" (or none) addresses every graphic.
+    var CONTROL = {
+      url: params.get("control") || ${JSON.stringify(String(controlOpts.url || ""))},
+      id: params.get("id") || ${JSON.stringify(String(controlOpts.id || ""))} ||
+        (String(u.pathname || "").split("/").pop() || "").replace(/\\.html?$/i, ""),
+      channel: params.get("channel") || ${JSON.stringify(controlOpts.channel != null ? String(controlOpts.channel) : "")}
+    };
+    var __ctl = null;
+    var __ctlState = "loading";   // loading | ready | playing | stopping | stopped | removed
+
+    function controlSend(type, extra){
+      if (!__ctl) return;
+      var msg = { source: "rive-cg", type: type, id: CONTROL.id, channel: CONTROL.channel, state: __ctlState };
+      for (var k in extra) if (extra.hasOwnProperty(k)) msg[k] = extra[k];
+      try { __ctl.send(JSON.stringify(msg)); } catch(e){}
+    }
+    // Lifecycle + Rive events from notifyHost
+    function controlNotify(type, detail){
+      if (type === "playing" || type === "stopping" || type === "removed") __ctlState = type;
+      else if (type === "outComplete") __ctlState = "stopped";
+      controlSend(type, { detail: detail || null });
+    }
+    function controlHandle(raw){
+      var m;
+      try { m = JSON.parse(raw); } catch(e){ return; }
+      if (!m || typeof m !== "object" || !m.cmd) return;
+      if (m.id != null && m.id !== "*" && String(m.id) !== CONTROL.id) return;
+      if (m.channel != null && CONTROL.channel && String(m.channel) !== CONTROL.channel) return;
+
+      var cmd = String(m.cmd).toLowerCase();
+      var ok = true;
+      try {
+        if (cmd === "update") window.update(m.data == null ? {} : m.data); // queued until loaded
+        else if (cmd === "play")   whenLoaded(function(){ window.play(); });
+        else if (cmd === "stop")   whenLoaded(function(){ window.stop(); });
+        else if (cmd === "next")   whenLoaded(function(){ window.next(); });
+        else if (cmd === "remove") whenLoaded(function(){ window.remove(); });
+        else if (cmd !== "status") ok = false;
+      } catch(e){ ok = false; }
+      controlSend("status", { cmd: cmd, ok: ok, ref: m.ref != null ? m.ref : null });
+    }
+    if (CONTROL.url){
+      __ctl = openSocket(CONTROL.url, {
+        open: function(sock){
+          // Straight to the socket so the hello goes out before anything queued
+          try { sock.ws.send(JSON.stringify({ source: "rive-cg", type: "hello", id: CONTROL.id, channel: CONTROL.channel, state: __ctlState })); } catch(e){}
+        },
+        message: controlHandle
+      });
+    }
+    whenLoaded(function(){ if (__ctlState === "loading") __ctlState = "ready"; controlSend("status", { cmd: null, ok: true }); });
   `;
 
+  // SPX reads the definition straight from the HTML, so it has to be plain JSON in a <script>
+  const spxBlock = target !== "spx" ? "" : `
+<script>
+window.SPXGCTemplateDefinition = ${JSON.stringify(buildSpxDefinition(schema, opts), null, 4).replace(/<\//g, "<\\/")};
+</script>`;
+
   // Precompute VM maps (case-insensitive mapping support)
   const vmIndexLiteral = '{' + vprops.map(p => `"${p.name.toLowerCase()}":"${esc(p.name)}"`).join(',') + '}';
   const vmTypesLiteral = '{' + vprops.map(p => `"${esc(p.name)}":"${p.type}"`).join(',') + '}';
+  const imageKeysLiteral = '{' + vprops.filter(p => p.type === "image").map(p => `"${esc(p.name.toLowerCase())}":1`).join(',') + '}';
+
+  // Debug overlay; the hooks (debugLog/debugPayload/debugUnmatched) are no-ops when it's off
+  const debugApi = `
+    // --- Debug overlay: ?debug=1 / ?debug=0 override the built-in setting ---
+    var DEBUG = params.has("debug") ? (params.get("debug") === "1" || params.get("debug") === "true") : ${opts.debug ? "true" : "false"};
+    var DEBUG_PROPS = ${vmTypesLiteral};
+    var __dbg = DEBUG ? { el: null, raw: "", parsed: null, unmatched: [], log: [], states: [], fps: null } : null;
+    function debugLog(line){
+      if (!__dbg) return;
+      var d = new Date();
+      __dbg.log.unshift(("0" + d.getHours()).slice(-2) + ":" + ("0" + d.getMinutes()).slice(-2) + ":" + ("0" + d.getSeconds()).slice(-2) + " " + line);
+      if (__dbg.log.length > 10) __dbg.log.length = 10;
+    }
+    function debugPayload(raw, parsed){
+      if (!__dbg) return;
+      __dbg.raw = typeof raw === "string" ? raw : JSON.stringify(raw);
+      __dbg.parsed = parsed;
+      debugLog("update");
+    }
+    function debugUnmatched(keys){ if (__dbg) __dbg.unmatched = keys; }
+    function debugValue(name, type){
+      if (type === "trigger" || type === "image" || type === "list") return "(" + type + ")";
+      var it = vmProp(type, name);
+      if (!it) return "(missing)";
+      if (type === "color") return "#" + ("0000000" + (it.value >>> 0).toString(16)).slice(-8);
+      return JSON.stringify(it.value);
+    }
+    function debugRender(){
+      var clip = function(s){ s = String(s == null ? "" : s); return s.length > 300 ? s.slice(0, 300) + "..." : s; };
+      var lines = ["fps " + (__dbg.fps == null ? "-" : Math.round(__dbg.fps)) + "   state " + (__dbg.states.join(", ") || "-"), "", "ViewModel"];
+      for (var name in DEBUG_PROPS) if (DEBUG_PROPS.hasOwnProperty(name)) lines.push("  " + name + " = " + debugValue(name, DEBUG_PROPS[name]));
+      if (inputs){
+        lines.push("", "Inputs");
+        for (var iname in inputs) if (inputs.hasOwnProperty(iname)){
+          lines.push("  " + iname + " = " + (inputType(inputs[iname]) === "trigger" ? "(trigger)" : JSON.stringify(inputs[iname].value)));
+        }
+      }
+      lines.push("", "UPDATE raw     " + clip(__dbg.raw || "-"));
+      lines.push("UPDATE parsed  " + clip(__dbg.parsed ? JSON.stringify(__dbg.parsed) : "-"));
+      lines.push("unmatched      " + (__dbg.unmatched.join(", ") || "-"), "");
+      lines = lines.concat(__dbg.log);
+      __dbg.el.textContent = lines.join("\\n");
+    }
+    function debugStart(){
+      if (!__dbg || __dbg.el) return;
+      var el = document.createElement("pre");
+      el.id = "rive-cg-debug";
+      el.style.cssText = "position:fixed;left:8px;top:8px;margin:0;padding:8px 10px;max-width:45vw;max-height:90vh;overflow:hidden;" +
+        "z-index:2147483647;pointer-events:none;font:12px/1.35 monospace;color:#7f7;background:rgba(0,0,0,.75);white-space:pre-wrap;word-break:break-all";
+      document.body.appendChild(el);
+      __dbg.el = el;
+      try { if (r && r.enableFPSCounter) r.enableFPSCounter(function(fps){ __dbg.fps = fps; }); } catch(e){}
+      try {
+        if (r && r.on && rive.EventType) r.on(rive.EventType.StateChange, function(ev){
+          __dbg.states = (ev && ev.data) || [];
+          debugLog("state " + __dbg.states.join(", "));
+        });
+      } catch(e){}
+      debugRender();
+      setInterval(debugRender, 250);
+    }
+    whenLoaded(debugStart);
+  `;
 
   const html = `<!doctype html>
 <html>
 <head>
 <meta charset="utf-8"/>
-<title>CasparCG + Rive</title>
+<title>${{ obs: "OBS", spx: "SPX-GC" }[target] || "CasparCG"} + Rive</title>
 <meta name="viewport" content="width=device-width, initial-scale=1"/>
 <style>
   html{background:transparent;overflow:hidden}
   body{margin:0}
-  #stage{position:absolute;inset:0}
-  canvas{width:100vw;height:100vh}
-</style>
+  #stage{position:absolute;left:0;top:0;${fillViewport ? "width:100vw;height:100vh" : `width:${stageWidth}px;height:${stageHeight}px`}}
+  canvas{display:block;width:100%;height:100%}
+</style>${spxBlock}
 </head>
 <body>
-  <div id="stage"><canvas id="cg" width="1920" height="1080"></canvas></div>
+  <div id="stage"><canvas id="cg" width="${stageWidth}" height="${stageHeight}"></canvas></div>
   ${b64Tag}
+  ${runtimeSource === "inline" ? wasmTag : ""}
+  ${assetTags.join("\n  ")}
   ${earlyStub}
   ${runtimeScript}
   <script>
@@ -223,93 +623,262 @@ export function buildTemplate(schema = {}, opts = {}) {
       if (s.charAt(0) === "#"){
         return (s.length === 7 ? (0xFF000000 | parseInt(s.slice(1),16)) >>> 0 : (parseInt(s.slice(1),16)) >>> 0);
       }
+      // CSS rgb()/rgba() (e.g. SPX's color picker); alpha 0..1
+      var m = /^rgba?\\(\\s*([\\d.]+)\\s*,\\s*([\\d.]+)\\s*,\\s*([\\d.]+)\\s*(?:,\\s*([\\d.]+)\\s*)?\\)$/i.exec(s);
+      if (m){
+        var a = m[4] == null ? 255 : Math.round(Math.min(1, Number(m[4])) * 255);
+        return ((a << 24) | ((Number(m[1]) & 255) << 16) | ((Number(m[2]) & 255) << 8) | (Number(m[3]) & 255)) >>> 0;
+      }
       var n = Number(s); return isFinite(n) ? (n>>>0) : null;
     }
+    // Resolve a dotted path ("Player.Name", "Items.0.Title") to the property accessor
+    // of the owning (nested / list item) instance. kind: "string" | "number" | ...
+    function vmProp(kind, path){
+      if (!vmi || !vmi[kind]) return null;
+      var p = String(path);
+      if (p.indexOf(".") < 0) { try { return vmi[kind](p); } catch(e){ return null; } }
+      var segs = p.split("."), cur = vmi;
+      for (var i=0; i<segs.length-1 && cur; i++){
+        var next = null, list = null;
+        try { next = cur.viewModel ? cur.viewModel(segs[i]) : null; } catch(e){ next = null; }
+        if (!next && i < segs.length-2){
+          try { list = cur.list ? cur.list(segs[i]) : null; } catch(e){ list = null; }
+          if (list){ i++; try { next = list.instanceAt(Number(segs[i])); } catch(e){ next = null; } }
+        }
+        cur = next;
+      }
+      try { if (cur && cur[kind]) return cur[kind](segs[segs.length-1]); } catch(e){}
+      try { return vmi[kind](p); } catch(e){ return null; } // a top-level name that contains "."
+    }
+    // Enum: match an allowed value (case-insensitive) or an index into values
+    function setEnum(it, raw){
+      var s = String(raw), vals = it.values || [];
+      for (var i=0;i<vals.length;i++){
+        if (String(vals[i]).toLowerCase() === s.toLowerCase()) { it.value = vals[i]; return true; }
+      }
+      var n = Number(s);
+      if (s !== "" && isFinite(n) && n >= 0 && n < vals.length && Math.floor(n) === n) { it.value = vals[n]; return true; }
+      return false;
+    }
+    // Legacy state machine inputs of the playing state machine, exact name -> input;
+    // used for keys / triggers that match no ViewModel prop
+    function readInputs(){
+      var list = null, map = null;
+      try { list = r && r.stateMachineInputs ? r.stateMachineInputs(sm) : null; } catch(e){ list = null; }
+      for (var i=0; list && i<list.length; i++){ if (list[i] && list[i].name) (map = map || {})[list[i].name] = list[i]; }
+      return map;
+    }
+    function inputType(inp){
+      var T = rive.StateMachineInputType || { Number: 56, Trigger: 58, Boolean: 59 };
+      return inp.type === T.Trigger ? "trigger" : inp.type === T.Boolean ? "boolean" : "number";
+    }
+    function smInput(name){
+      if (!inputs || name == null) return null;
+      var n = String(name), lc = n.toLowerCase();
+      if (inputs.hasOwnProperty(n)) return inputs[n];
+      for (var k in inputs) if (inputs.hasOwnProperty(k) && k.toLowerCase() === lc) return inputs[k];
+      return null;
+    }
+    function fireSmInput(name){
+      var inp = smInput(name);
+      if (!inp || inputType(inp) !== "trigger") return false;
+      try { inp.fire(); return true; } catch(e){ return false; }
+    }
+    // UPDATE / URL value -> input; false when there is no such input or the value doesn't fit
+    function setSmInput(name, val){
+      var inp = smInput(name);
+      if (!inp) return false;
+      var type = inputType(inp);
+      if (type === "trigger"){
+        if (val===true || String(val)==="true" || String(val)==="1"){ debugLog("input " + inp.name); inp.fire(); }
+        return true;
+      }
+      if (type === "boolean"){ inp.value = (String(val).toLowerCase()==="true"||val===true||val===1||String(val).toLowerCase()==="yes"); return true; }
+      var n = Number(val);
+      if (val === "" || val == null || !isFinite(n)) return false;
+      inp.value = n;
+      return true;
+    }
     function fireVmTrigger(name){
-      if (!name || !vmi) return false;
+      if (!name || (!vmi && !inputs)) return false;
+      debugLog("trigger " + name);
       try {
-        var t = vmi.trigger ? vmi.trigger(name) : null;
-        if (!t) return false;
+        var t = vmProp("trigger", name);
+        if (!t) return fireSmInput(name);
         if (typeof t.fire === "function"){ t.fire(); return true; }
         if (typeof t.trigger === "function"){ t.trigger(); return true; }
         if (typeof t === "object" && "value" in t){ try { t.value = true; return true; } catch(e){} }
       } catch(e){}
       return false;
     }
-    function base64ToBlobUrl(b64){
-      var bin = atob(b64 || "");
-      var len = bin.length;
-      var bytes = new Uint8Array(len);
-      for (var i=0;i<len;i++) bytes[i] = bin.charCodeAt(i);
-      var blob = new Blob([bytes], { type: "application/octet-stream" });
-      return URL.createObjectURL(blob);
+    // Decoded in slices so a large payload never becomes one giant binary string
+    function base64ToBytes(b64){
+      var s = String(b64 || "").replace(/[^A-Za-z0-9+\/]/g, "");
+      var bytes = new Uint8Array(Math.floor(s.length * 3 / 4));
+      var CHUNK = 65536; // multiple of 4
+      for (var i=0, o=0; i<s.length; i+=CHUNK){
+        var bin = atob(s.slice(i, i + CHUNK));
+        for (var k=0;k<bin.length;k++) bytes[o++] = bin.charCodeAt(k);
+      }
+      return bytes;
     }
-    function getEmbeddedBase64(){ var el = document.getElementById('riv-b64'); return el ? (el.textContent || '') : ""; }
+    function bytesToBlobUrl(bytes, type){
+      return URL.createObjectURL(new Blob([bytes], { type: type || "application/octet-stream" }));
+    }
+    function base64ToBlobUrl(b64, type){ return bytesToBlobUrl(base64ToBytes(b64), type); }
+    function getEmbeddedBase64(id){ var el = document.getElementById(id || 'riv-b64'); return el ? (el.textContent || '') : ""; }
 
-    // Image binding helper (data:, b64:, https:)
-    function setImageFromSource(propName, src) {
-      if (!vmi) return;
-      try {
-        var ip = vmi.image ? vmi.image(propName) : null;
-        if (!ip) return;
+    // GET a URL as bytes; XHR rather than fetch so file:// works in CEF too (status 0)
+    function loadBytes(url, done, fail){
+      var xhr = new XMLHttpRequest();
+      xhr.open("GET", url);
+      xhr.responseType = "arraybuffer";
+      xhr.onload = function(){
+        if (xhr.status >= 400 || !xhr.response) { fail("HTTP " + xhr.status); return; }
+        done(new Uint8Array(xhr.response));
+      };
+      xhr.onerror = function(){ fail("could not be loaded"); };
+      xhr.send();
+    }
 
-        if (src == null || src === "" || src === "clear" || src === "none") {
-          ip.value = null;
-          return;
+    // Images: data:, b64:, http(s):, file://, local/relative paths ("logos/a.png",
+    // "C:\\gfx\\a.png", "\\\\server\\share\\a.png") or raw base64. Decoded images are cached
+    // by source; PLAY waits (up to ?imageWait= ms) for loads still in flight. Files (paths,
+    // file://) are only cached for one UPDATE, so an image replaced on disk is read again.
+    var IMAGE_KEYS = ${imageKeysLiteral}; // lower-cased image prop names
+    var IMAGE_CACHE = {}, IMAGE_CACHE_KEYS = [], IMAGE_CACHE_MAX = 32;
+    var IMAGE_CACHE_GEN = {}, __imgGen = 0; // src -> the UPDATE it was loaded for
+    var __imgLoading = {};  // src -> callbacks waiting for it
+    var __imgWant = {};     // prop -> last requested src (loads can finish out of order)
+    var __imgPending = 0, __imgWaiters = [];
+    function isImagePath(s){
+      // no bare leading "/": base64 JPEGs start with "/9j/"
+      return /^(\\.{1,2}\\/|[a-z]:[\\\\\\/]|\\\\\\\\)/i.test(s) || /\\.(png|jpe?g|webp|gif|avif|bmp)(\\?.*)?$/i.test(s);
+    }
+    function imageUrl(s){
+      if (/^[a-z]:[\\\\\\/]/i.test(s)) return "file:///" + s.replace(/\\\\/g, "/");
+      if (/^\\\\\\\\/.test(s)) return "file:" + s.replace(/\\\\/g, "/");
+      return s; // URL, or relative to the template
+    }
+    function isImageFile(s){ return /^file:/i.test(s) || (!/^(https?|blob|data|b64):/i.test(s) && isImagePath(s)); }
+    function uncacheImage(src){
+      for (var i=0;i<IMAGE_CACHE_KEYS.length;i++) if (IMAGE_CACHE_KEYS[i] === src) { IMAGE_CACHE_KEYS.splice(i, 1); break; }
+      try { IMAGE_CACHE[src].unref && IMAGE_CACHE[src].unref(); } catch(e){}
+      delete IMAGE_CACHE[src];
+      delete IMAGE_CACHE_GEN[src];
+    }
+    function cacheImage(src, img){
+      if (IMAGE_CACHE.hasOwnProperty(src)) uncacheImage(src);
+      if (IMAGE_CACHE_KEYS.length >= IMAGE_CACHE_MAX) uncacheImage(IMAGE_CACHE_KEYS[0]);
+      IMAGE_CACHE[src] = img;
+      IMAGE_CACHE_GEN[src] = __imgGen;
+      IMAGE_CACHE_KEYS.push(src);
+    }
+    // done(img) once decoded, or done(null)
+    function loadImage(src, done){
+      if (IMAGE_CACHE.hasOwnProperty(src) && isImageFile(src) && IMAGE_CACHE_GEN[src] !== __imgGen) uncacheImage(src);
+      if (IMAGE_CACHE.hasOwnProperty(src)) { done(IMAGE_CACHE[src]); return; }
+      if (__imgLoading[src]) { __imgLoading[src].push(done); return; }
+      __imgLoading[src] = [done];
+      __imgPending++;
+      function finish(img){
+        var cbs = __imgLoading[src] || [];
+        delete __imgLoading[src];
+        if (img) cacheImage(src, img);
+        for (var i=0;i<cbs.length;i++) { try { cbs[i](img); } catch(e){} }
+        if (--__imgPending === 0){
+          var w = __imgWaiters; __imgWaiters = [];
+          for (var j=0;j<w.length;j++) w[j]();
         }
-
-        function decodeAndSet(bytes) {
-          try {
-            rive.decodeImage(bytes).then(function(img) {
-              try { ip.value = img; } finally { try { img.unref && img.unref(); } catch(e){} }
-            }).catch(function(e){ console.error("decodeImage failed", e); });
-          } catch (e) { console.error("decodeImage threw", e); }
+      }
+      function decode(bytes){
+        rive.decodeImage(bytes).then(finish, function(e){ console.error("decodeImage failed", e); finish(null); });
+      }
+      try {
+        var b64;
+        if (/^data:/i.test(src)){
+          var i = src.indexOf("base64,");
+          if (i < 0) { console.warn("data: URL without base64 not supported"); finish(null); return; }
+          b64 = src.slice(i + 7);
+        } else if (/^b64:/i.test(src)) {
+          b64 = src.slice(4);
+        } else if (/^(https?|file|blob):/i.test(src) || isImagePath(src)) {
+          loadBytes(imageUrl(src), decode, function(msg){ console.error("Image " + src + ": " + msg); finish(null); });
+          return;
+        } else {
+          b64 = src;
         }
+        decode(base64ToBytes(b64));
+      } catch(e) { console.warn("Unrecognized image value:", src); finish(null); }
+    }
+    function whenImagesReady(fn){
+      if (!__imgPending) { fn(); return; }
+      var called = false;
+      function go(){ if (!called) { called = true; fn(); } }
+      __imgWaiters.push(go);
+      setTimeout(go, numParam("imageWait", 3000));
+    }
+    function isClearImage(src){ return src == null || src === "" || src === "clear" || src === "none"; }
+    // Start decoding the image values in an UPDATE (before the ViewModel exists / PLAY)
+    function preloadImages(o){
+      if (!o || typeof o !== "object") return;
+      o = resolveAliases(o);
+      for (var k in o){
+        if (o.hasOwnProperty(k) && IMAGE_KEYS[String(k).toLowerCase()] && !isClearImage(o[k])) loadImage(String(o[k]), function(){});
+      }
+    }
 
+    function setImageFromSource(propName, src) {
+      if (!vmi) return;
+      try {
+        var ip = vmProp("image", propName);
+        if (!ip) return;
+        if (isClearImage(src)) { __imgWant[propName] = null; ip.value = null; return; }
         var s = String(src);
+        __imgWant[propName] = s;
+        loadImage(s, function(img){
+          if (img && __imgWant[propName] === s) { try { ip.value = img; } catch(e){ console.error("Setting image failed", e); } }
+        });
+      } catch(e) { console.error("setImageFromSource failed", e); }
+    }
 
-        if (/^data:/i.test(s)) {
-          var i = s.indexOf("base64,");
-          if (i >= 0) {
-            var b64 = s.slice(i + 7);
-            var bin = atob(b64);
-            var arr = new Uint8Array(bin.length);
-            for (var k = 0; k < bin.length; k++) arr[k] = bin.charCodeAt(k);
-            decodeAndSet(arr); return;
-          }
-          console.warn("data: URL without base64 not supported"); return;
-        }
-
-        if (/^b64:/i.test(s)) {
-          var b64raw = s.slice(4);
-          var bin2 = atob(b64raw);
-          var arr2 = new Uint8Array(bin2.length);
-          for (var m = 0; m < bin2.length; m++) arr2[m] = bin2.charCodeAt(m);
-          decodeAndSet(arr2); return;
-        }
-
-        if (/^https?:/i.test(s)) {
-          fetch(s, { cache: "no-store" })
-            .then(function(r){ return r.arrayBuffer(); })
-            .then(function(buf){ decodeAndSet(new Uint8Array(buf)); })
-            .catch(function(e){ console.error("fetch image failed", e); });
-          return;
-        }
-
-        // Fallback: try raw base64
+    // Referenced fonts/images/audio (not inside the .riv): embedded <script> blocks or files
+    // under ASSET_PATH (?assetPath=./fonts/ overrides); keyed by the asset's uniqueFilename
+    var ASSETS = ${JSON.stringify(assetMap).replace(/</g, "\\u003c")};
+    var ASSET_PATH = ${JSON.stringify(assetPath)};
+    function setAssetBytes(asset, bytes){
+      var decode = asset.isFont ? rive.decodeFont : asset.isAudio ? rive.decodeAudio : rive.decodeImage;
+      decode(bytes).then(function(res){
         try {
-          var bin3 = atob(s);
-          var arr3 = new Uint8Array(bin3.length);
-          for (var n = 0; n < bin3.length; n++) arr3[n] = bin3.charCodeAt(n);
-          decodeAndSet(arr3);
-        } catch(e) {
-          console.warn("Unrecognized image value:", s);
-        }
-      } catch(e) { console.error("setImageFromSource failed", e); }
+          if (asset.isFont) asset.setFont(res);
+          else if (asset.isAudio) asset.setAudioSource(res);
+          else asset.setRenderImage(res);
+        } finally { try { res.unref && res.unref(); } catch(e){} }
+      }).catch(function(e){ console.error("Decoding asset " + asset.name + " failed", e); });
+    }
+    function loadAsset(asset, bytes){
+      if ((bytes && bytes.length) || asset.cdnUuid) return false; // in the .riv / on Rive's CDN
+      var src = ASSETS[asset.uniqueFilename] || ASSETS[asset.name];
+      if (src && src.charAt(0) === "#"){ setAssetBytes(asset, base64ToBytes(getEmbeddedBase64(src.slice(1)))); return true; }
+      var url = (params.get("assetPath") || ASSET_PATH) + (src || asset.uniqueFilename);
+      loadBytes(url, function(bytes){ setAssetBytes(asset, bytes); }, function(msg){ console.error("Asset " + url + ": " + msg); });
+      return true;
     }
 
     var CANVAS = document.getElementById("cg");
-    var r = null, vmi = null;
+    var STAGE_EL = document.getElementById("stage");
+    var r = null, vmi = null, inputs = null;
+    var __loaded = false, __onLoaded = [];
+    function whenLoaded(fn){ if (__loaded) fn(); else __onLoaded.push(fn); }
+
+    // Tell the host page (preview, control UI) and the callback URL what the graphic is doing
+    function notifyHost(type, detail){
+      var msg = { source: "rive-cg", type: type, detail: detail || null };
+      try { if (window.parent && window.parent !== window) window.parent.postMessage(msg, "*"); } catch(e){}
+      try { window.dispatchEvent(new CustomEvent("rive-cg:" + type, { detail: detail || null })); } catch(e){}
+      sendEventCallback(msg);
+      controlNotify(type, detail);
+    }
 
     // URL params (handy for testing from a browser)
     var u = new URL(window.location.href);
@@ -327,26 +896,181 @@ export function buildTemplate(schema = {}, opts = {}) {
     };
 
     var RIV_BASE64 = ${embed ? 'getEmbeddedBase64()' : '""'};
-    var riv = ${embed ? '(RIV_BASE64 ? base64ToBlobUrl(RIV_BASE64) : DEF.riv)' : '(params.get("riv") || DEF.riv)' };
+    var RIV_ENCODING = ${JSON.stringify(embedCompression)};   // "", "gzip" or "deflate"
+    var riv = ${embed ? 'DEF.riv' : '(params.get("riv") || DEF.riv)' };   // embedded: set by loadRiv
     var ab  = params.get("artboard") || params.get("ab") || (DEF.artboard || undefined);
     var sm  = params.get("sm") || params.get("statemachine") || (DEF.sm || undefined);
 
+    // Stage / layout. URL overrides: width, height, fit, align, dpr, x, y, scale
+    function numParam(key, d){ return params.has(key) ? num(params.get(key), d) : d; }
+    var STAGE = {
+      width:  numParam("width", ${stageWidth}),
+      height: numParam("height", ${stageHeight}),
+      fill:   (params.has("width") || params.has("height")) ? false : ${fillViewport ? "true" : "false"},
+      fit:    params.get("fit")   || ${JSON.stringify(fit)},
+      align:  params.get("align") || ${JSON.stringify(alignment)},
+      dpr:    numParam("dpr", ${pixelRatio}),
+      x:      numParam("x", 0),
+      y:      numParam("y", 0),
+      scale:  numParam("scale", 1)
+    };
+    var STAGE_KEYS = { _x: "x", _y: "y", _scale: "scale" }; // reserved UPDATE keys
+    var ORIGINS = {
+      center: "50% 50%", topLeft: "0 0", topCenter: "50% 0", topRight: "100% 0",
+      centerLeft: "0 50%", centerRight: "100% 50%",
+      bottomLeft: "0 100%", bottomCenter: "50% 100%", bottomRight: "100% 100%"
+    };
+
+    function layoutStage(){
+      if (!STAGE_EL) return;
+      if (!STAGE.fill){
+        STAGE_EL.style.width  = STAGE.width + "px";
+        STAGE_EL.style.height = STAGE.height + "px";
+      }
+      STAGE_EL.style.transformOrigin = ORIGINS[STAGE.align] || ORIGINS.center;
+      STAGE_EL.style.transform = "translate(" + STAGE.x + "px," + STAGE.y + "px) scale(" + STAGE.scale + ")";
+    }
+    function resizeSurface(){
+      try {
+        if (!r || !r.resizeDrawingSurfaceToCanvas) return;
+        if (STAGE.dpr > 0) r.resizeDrawingSurfaceToCanvas(STAGE.dpr); else r.resizeDrawingSurfaceToCanvas();
+      } catch(e){}
+    }
+    // Pull _x/_y/_scale out of an UPDATE payload; returns true if the stage moved
+    function applyStageKeys(o){
+      var moved = false;
+      for (var k in STAGE_KEYS){
+        if (o.hasOwnProperty(k) && o[k] !== "" && o[k] != null){
+          STAGE[STAGE_KEYS[k]] = num(o[k], STAGE[STAGE_KEYS[k]]);
+          moved = true;
+        }
+      }
+      if (moved) layoutStage();
+      return moved;
+    }
+    layoutStage();
+
+    // Out completion: a Rive event or state name ends the out, timeoutMs caps the wait
+    var OUT = {
+      event: params.get("outEvent") || ${JSON.stringify(outEvent)},
+      state: params.get("outState") || ${JSON.stringify(outState)},
+      timeoutMs: numParam("outTimeout", ${outTimeoutMs}),
+      clear: ${outClear ? "true" : "false"}
+    };
+    var __outPending = false, __outTimer = null, __afterOut = [];
+    function beginOut(){
+      __outPending = true;
+      if (__outTimer) clearTimeout(__outTimer);
+      __outTimer = setTimeout(function(){ finishOut("timeout"); }, OUT.timeoutMs);
+    }
+    function finishOut(reason){
+      if (!__outPending) return;
+      __outPending = false;
+      if (__outTimer){ clearTimeout(__outTimer); __outTimer = null; }
+      if (OUT.clear && CANVAS) CANVAS.style.visibility = "hidden";
+      notifyHost("outComplete", { reason: reason });
+      while (__afterOut.length) { try { __afterOut.shift()(); } catch(e){} }
+    }
+    function cancelOut(){
+      __outPending = false;
+      if (__outTimer){ clearTimeout(__outTimer); __outTimer = null; }
+      __afterOut.length = 0;
+      if (CANVAS) CANVAS.style.visibility = "";
+    }
+    function afterOut(fn){ if (__outPending) __afterOut.push(fn); else fn(); }
+    function watchOut(){
+      if (!r || !r.on || !rive.EventType) return;
+      if (OUT.event) r.on(rive.EventType.RiveEvent, function(ev){
+        var d = ev && ev.data;
+        if (__outPending && d && String(d.name) === OUT.event) finishOut("event");
+      });
+      if (OUT.state) r.on(rive.EventType.StateChange, function(ev){
+        var states = (ev && ev.data) || [];
+        for (var i=0;i<states.length;i++){ if (__outPending && String(states[i]) === OUT.state) { finishOut("state"); return; } }
+      });
+    }
+
+    // WebSocket that reconnects with backoff (1s..30s) and queues sends while it's down.
+    // on = { open(sock), message(data) }
+    function openSocket(url, on){
+      var sock = { ws: null, queue: [], retryMs: 1000 };
+      function retry(){
+        setTimeout(connect, sock.retryMs);
+        sock.retryMs = Math.min(sock.retryMs * 2, 30000);
+      }
+      function connect(){
+        try { sock.ws = new WebSocket(url); } catch(e){ sock.ws = null; retry(); return; }
+        sock.ws.onopen = function(){
+          sock.retryMs = 1000;
+          if (on.open) on.open(sock);
+          while (sock.queue.length && sock.ws && sock.ws.readyState === 1) sock.ws.send(sock.queue.shift());
+        };
+        sock.ws.onmessage = function(ev){ if (on.message) on.message(ev.data); };
+        sock.ws.onclose = function(){ sock.ws = null; retry(); };
+      }
+      sock.send = function(json){
+        if (sock.ws && sock.ws.readyState === 1) { try { sock.ws.send(json); } catch(e){} }
+        else if (sock.queue.length < 100) sock.queue.push(json);
+      };
+      if (typeof WebSocket !== "undefined") connect();
+      return sock;
+    }
+
+    // Event callback: ?eventUrl=ws://... keeps a socket open, http(s) URLs get a POST per event
+    var EVENT_URL = params.get("eventUrl") || ${JSON.stringify(eventCallbackUrl)};
+    var __evSock = null;
+    function openEventSocket(){
+      if (!__evSock && /^wss?:/i.test(EVENT_URL)) __evSock = openSocket(EVENT_URL, {});
+    }
+    function sendEventCallback(msg){
+      if (!EVENT_URL) return;
+      var json;
+      try { json = JSON.stringify(msg); } catch(e){ return; }
+      if (/^wss?:/i.test(EVENT_URL)){
+        openEventSocket();
+        __evSock.send(json);
+        return;
+      }
+      try {
+        var x = new XMLHttpRequest();
+        x.open("POST", EVENT_URL, true);
+        x.setRequestHeader("Content-Type", "application/json");
+        x.send(json);
+      } catch(e){}
+    }
+    function forwardRiveEvent(ev){
+      var d = (ev && ev.data) || {};
+      var detail = { name: String(d.name || ""), type: d.type, properties: d.properties || {}, delay: d.delay || 0 };
+      if (d.url) detail.url = d.url;
+      try { console.log("[rive-cg] event " + detail.name + " " + JSON.stringify(detail.properties)); } catch(e){}
+      debugLog("event " + detail.name);
+      notifyHost("riveEvent", detail);
+    }
+    function watchEvents(){
+      if (r && r.on && rive.EventType) r.on(rive.EventType.RiveEvent, forwardRiveEvent);
+      openEventSocket();
+    }
+
     function applyFromUrl(){
-      if (!vmi) return;
+      if (!vmi && !inputs) return;
       var v, it, n, b, c;
       ${urlSetters || ""}
-      // Generic fallback: any param "vm.Name" not in schema attempts best-effort types
+      // Generic fallback: any param "vm.Name" not in schema attempts best-effort types,
+      // then state machine inputs; "input.Name" only sets inputs
       params.forEach(function(value, key){
+        if (key.indexOf("input.") === 0){ try { setSmInput(key.slice(6), value); } catch(e){} return; }
         if (key.indexOf("vm.")!==0) return;
         var name = key.slice(3);
         try {
           var it2;
-          if (vmi.string && (it2=vmi.string(name)))   { it2.value = String(value); return; }
-          if (vmi.number && (it2=vmi.number(name)))   { var nn=Number(value); if (isFinite(nn)) it2.value = nn; return; }
-          if (vmi.boolean && (it2=vmi.boolean(name))) { it2.value = (String(value).toLowerCase()==="true"||value==="1"||String(value).toLowerCase()==="yes"); return; }
-          if (vmi.color && (it2=vmi.color(name)))     { var cc=toColor32(value); if (cc!=null) it2.value = cc; return; }
-          if (vmi.image && (it2=vmi.image(name)))     { setImageFromSource(name, String(value)); return; }
-          if (vmi.trigger && (it2=vmi.trigger(name))) { if (value==="true"||value==="1") { fireVmTrigger(name); } return; }
+          if ((it2=vmProp("string", name)))   { it2.value = String(value); return; }
+          if ((it2=vmProp("number", name)))   { var nn=Number(value); if (isFinite(nn)) it2.value = nn; return; }
+          if ((it2=vmProp("boolean", name))) { it2.value = (String(value).toLowerCase()==="true"||value==="1"||String(value).toLowerCase()==="yes"); return; }
+          if ((it2=vmProp("color", name)))     { var cc=toColor32(value); if (cc!=null) it2.value = cc; return; }
+          if ((it2=vmProp("enum", name)))      { setEnum(it2, value); return; }
+          if ((it2=vmProp("image", name)))     { setImageFromSource(name, String(value)); return; }
+          if ((it2=vmProp("trigger", name))) { if (value==="true"||value==="1") { fireVmTrigger(name); } return; }
+          setSmInput(name, value);
         } catch(e){}
       });
     }
@@ -354,17 +1078,23 @@ export function buildTemplate(schema = {}, opts = {}) {
     ${vmDefaultsLines ? `function applyBakedDefaults(){ try { if (!vmi) return; ${vmDefaultsLines} } catch(e){} }` : `function applyBakedDefaults(){}`}
 
     function boot(){
+      ${wasmSetup}
       try {
         r = new rive.Rive({
           src: riv,
           canvas: CANVAS,
           autoplay: false,
+          layout: new rive.Layout({ fit: STAGE.fit, alignment: STAGE.align }),
           artboard: ab,
           stateMachines: sm,
           autoBind: true,
+          assetLoader: function(asset, bytes){ try { return loadAsset(asset, bytes); } catch(e){ console.error("assetLoader", e); return false; } },
           onLoad: function(){
-            try { if (r && r.resizeDrawingSurfaceToCanvas) r.resizeDrawingSurfaceToCanvas(); } catch(e){}
+            resizeSurface();
+            try { watchEvents(); } catch(e){}
+            try { watchOut(); } catch(e){}
             try { vmi = r && r.viewModelInstance ? r.viewModelInstance : null; } catch(e){ vmi = null; }
+            inputs = readInputs();
             try { applyBakedDefaults(); } catch(e){}
             try { applyFromUrl(); } catch(e){}
 
@@ -386,14 +1116,55 @@ export function buildTemplate(schema = {}, opts = {}) {
               }
             } catch(e){}
 
-            try { window.addEventListener("resize", function(){ try { if (r && r.resizeDrawingSurfaceToCanvas) r.resizeDrawingSurfaceToCanvas(); } catch(e){} }); } catch(e){}
+            try { window.addEventListener("resize", resizeSurface); } catch(e){}
+
+            __loaded = true;
+            while (__onLoaded.length) { try { __onLoaded.shift()(); } catch(e){} }
           }
         });
       } catch(e){ console.error("Rive boot error", e); }
     }
 
+    // Field aliases: incoming key (exact or case-insensitive) -> { prop, case?, decimals?, thousands?, prefix?, suffix? }
+    var ALIASES = ${aliasesLiteral};
+    var ALIAS_INDEX = {};
+    for (var __a in ALIASES) if (ALIASES.hasOwnProperty(__a)) ALIAS_INDEX[__a.toLowerCase()] = __a;
+    function formatNumber(v, decimals, sep){
+      var n = Number(v);
+      if (v === "" || v == null || !isFinite(n)) return v;
+      var s = (decimals != null) ? n.toFixed(decimals) : String(n);
+      if (sep){
+        var parts = s.split(".");
+        parts[0] = parts[0].replace(/\\B(?=(\\d{3})+(?!\\d))/g, sep);
+        s = parts.join(".");
+      }
+      return s;
+    }
+    function transformValue(a, v){
+      if (v == null || typeof v === "object") return v;
+      if (a.decimals != null || a.thousands) v = formatNumber(v, a.decimals, a.thousands);
+      if (a["case"] === "upper") v = String(v).toUpperCase();
+      else if (a["case"] === "lower") v = String(v).toLowerCase();
+      else if (a["case"] === "title") v = String(v).toLowerCase().replace(/(^|\\s)\\S/g, function(m){ return m.toUpperCase(); });
+      if (a.prefix || a.suffix) v = (a.prefix || "") + String(v) + (a.suffix || "");
+      return v;
+    }
+    function resolveAliases(o){
+      var out = {}, k, key, a;
+      for (k in o){
+        if (!o.hasOwnProperty(k)) continue;
+        key = ALIASES.hasOwnProperty(k) ? k : ALIAS_INDEX[String(k).toLowerCase()];
+        a = key ? ALIASES[key] : null;
+        if (a) out[a.prop] = transformValue(a, o[k]);
+        else if (!out.hasOwnProperty(k)) out[k] = o[k];
+      }
+      return out;
+    }
+
     function apply(o){
-      if (!o || !vmi) return;
+      if (!o || (!vmi && !inputs)) return;
+      o = resolveAliases(o);
+      applyStageKeys(o);
 
       // Fast path for known props (exact-name setters)
       ${vprops.map(setterUpdateLine).join("\n      ")}
@@ -402,9 +1173,10 @@ export function buildTemplate(schema = {}, opts = {}) {
       try {
         var VM_INDEX = ${vmIndexLiteral};
         var VM_TYPES = ${vmTypesLiteral};
+        var unmatched = [];
 
         for (var k in o) {
-          if (!o.hasOwnProperty(k)) continue;
+          if (!o.hasOwnProperty(k) || STAGE_KEYS.hasOwnProperty(k) || k === "_pages") continue;
           var name = k;
           if (!VM_TYPES[name]) {
             var lc = String(k).toLowerCase();
@@ -416,10 +1188,11 @@ export function buildTemplate(schema = {}, opts = {}) {
           var done = false;
 
           try {
-            if (t === "string"  && vmi.string  && (it=vmi.string(name)))   { it.value = String(val); done = true; }
-            else if (t === "number" && vmi.number && (it=vmi.number(name))) { var n=Number(val); if (isFinite(n)) { it.value = n; done = true; } }
-            else if (t === "boolean"&& vmi.boolean&& (it=vmi.boolean(name))){ it.value = (String(val).toLowerCase()==="true"||val===true||val===1||String(val).toLowerCase()==="yes"); done = true; }
-            else if (t === "color"  && vmi.color  && (it=vmi.color(name)))   { var c = toColor32(val); if (c!=null){ it.value = c; done = true; } }
+            if (t === "string"  && (it=vmProp("string", name)))   { it.value = String(val); done = true; }
+            else if (t === "number" && (it=vmProp("number", name))) { var n=Number(val); if (isFinite(n)) { it.value = n; done = true; } }
+            else if (t === "boolean"&& (it=vmProp("boolean", name))){ it.value = (String(val).toLowerCase()==="true"||val===true||val===1||String(val).toLowerCase()==="yes"); done = true; }
+            else if (t === "color"  && (it=vmProp("color", name)))   { var c = toColor32(val); if (c!=null){ it.value = c; done = true; } }
+            else if (t === "enum"   && (it=vmProp("enum", name)))    { done = setEnum(it, val); }
             else if (t === "image"  && vmi.image) { setImageFromSource(name, String(val)); done = true; }
             else if (t === "trigger" && (val===true || String(val)==="true" || String(val)==="1")) { fireVmTrigger(name); done = true; }
           } catch(e){}
@@ -427,19 +1200,44 @@ export function buildTemplate(schema = {}, opts = {}) {
           if (done) continue;
 
           // Unknown type: try all non-throwing setters
-          try { if (!done && vmi.string  && (it=vmi.string(name)))  { it.value = String(val); done = true; } } catch(e){}
-          try { if (!done && vmi.number  && (it=vmi.number(name)))  { var n2=Number(val); if (isFinite(n2)) { it.value = n2; done = true; } } } catch(e){}
-          try { if (!done && vmi.boolean && (it=vmi.boolean(name))) { it.value = (String(val).toLowerCase()==="true"||val===true||val===1||String(val).toLowerCase()==="yes"); done = true; } } catch(e){}
-          try { if (!done && vmi.color   && (it=vmi.color(name)))   { var c2=toColor32(val); if (c2!=null) { it.value = c2; done = true; } } } catch(e){}
-          try { if (!done && vmi.image) { var test=vmi.image(name); if (test) { setImageFromSource(name, String(val)); done = true; } } } catch(e){}
-          if (!done && (val===true || String(val)==="true" || String(val)==="1")) { try { fireVmTrigger(name); } catch(e){} }
+          try { if (!done && (it=vmProp("string", name)))  { it.value = String(val); done = true; } } catch(e){}
+          try { if (!done && (it=vmProp("number", name)))  { var n2=Number(val); if (isFinite(n2)) { it.value = n2; done = true; } } } catch(e){}
+          try { if (!done && (it=vmProp("boolean", name))) { it.value = (String(val).toLowerCase()==="true"||val===true||val===1||String(val).toLowerCase()==="yes"); done = true; } } catch(e){}
+          try { if (!done && (it=vmProp("color", name)))   { var c2=toColor32(val); if (c2!=null) { it.value = c2; done = true; } } } catch(e){}
+          try { if (!done && (it=vmProp("enum", name)))    { done = setEnum(it, val); } } catch(e){}
+          try { if (!done) { var test=vmProp("image", name); if (test) { setImageFromSource(name, String(val)); done = true; } } } catch(e){}
+          if (!done && vmProp("trigger", name)) { if (val===true || String(val)==="true" || String(val)==="1") { try { fireVmTrigger(name); } catch(e){} } done = true; }
+          try { if (!done) done = setSmInput(name, val); } catch(e){}
+          if (!done) unmatched.push(k);
         }
+        debugUnmatched(unmatched);
       } catch(e){}
     }
 
-    boot();
+    // Embedded .riv -> blob URL; compressed payloads are inflated asynchronously first
+    function loadRiv(done){
+      if (!RIV_BASE64){ done(riv); return; }
+      var bytes = base64ToBytes(RIV_BASE64);
+      RIV_BASE64 = ""; // free the string
+      if (!RIV_ENCODING){ done(bytesToBlobUrl(bytes)); return; }
+      function fallback(){
+        ${embedCompression ? `try { done(bytesToBlobUrl(decompressBytes(bytes, RIV_ENCODING))); } catch(e){ console.error("Embedded .riv could not be decompressed", e); }` : ""}
+      }
+      if (typeof DecompressionStream === "undefined" || typeof Response === "undefined"){ fallback(); return; }
+      try {
+        new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream(RIV_ENCODING))).blob()
+          .then(function(blob){ done(URL.createObjectURL(blob)); }, fallback);
+      } catch(e){ fallback(); }
+    }
+    ${embedCompression ? inflateSource() : ""}
+
+    loadRiv(function(src){ riv = src; boot(); });
 
     ${casparApi}
+    ${obsApi}
+    ${feedApi}
+    ${controlApi}
+    ${debugApi}
   })();
   </script>
 </body>
@@ -448,7 +1246,91 @@ export function buildTemplate(schema = {}, opts = {}) {
   return html;
 }
 
+/**
+ * SPX-GC template definition for a schema. SPX sends update() a JSON object keyed by
+ * each field's "field", then calls play() / next() / stop().
+ * Fields: string/number -> textfield, enum/boolean -> dropdown, color -> color,
+ * image -> filelist (files in spx.assetFolder next to the template). A prop's first
+ * field alias becomes its field id.
+ * @param {object} schema - { artboard, viewModelProps: [...] }
+ * @param {object} [opts] - buildTemplate options; uses spx, casparTriggers, pages, fieldAliases
+ */
+export function buildSpxDefinition(schema = {}, opts = {}) {
+  const spx = opts.spx || {};
+  const triggers = opts.casparTriggers || {};
+  const vprops = Array.isArray(schema.viewModelProps) ? schema.viewModelProps : [];
+  const idFor = {};
+  (Array.isArray(opts.fieldAliases) ? opts.fieldAliases : []).forEach((a) => {
+    if (a && a.alias && a.prop && !idFor[a.prop]) idFor[a.prop] = String(a.alias);
+  });
+
+  const fields = vprops
+    .filter(p => ["string", "number", "boolean", "enum", "color", "image"].indexOf(p.type) >= 0)
+    .map((p) => {
+      const f = { field: idFor[p.name] || p.name, ftype: "textfield", title: p.name, value: "" };
+      if (p.type === "string" || p.type === "number") {
+        f.value = p.value == null ? "" : String(p.value);
+      } else if (p.type === "boolean") {
+        f.ftype = "dropdown";
+        f.items = [{ text: "Yes", value: "true" }, { text: "No", value: "false" }];
+        f.value = p.value ? "true" : "false";
+      } else if (p.type === "enum") {
+        f.ftype = "dropdown";
+        f.items = (p.options || []).map(o => ({ text: String(o), value: String(o) }));
+        f.value = p.value == null ? "" : String(p.value);
+      } else if (p.type === "color") {
+        f.ftype = "color";
+        const n = Number(p.value);
+        f.value = Number.isFinite(n) ? "#" + ((n & 0xFFFFFF) >>> 0).toString(16).padStart(6, "0") : String(p.value || "");
+      } else {
+        f.ftype = "filelist";
+        f.assetfolder = String(spx.assetFolder || "./images/");
+        f.extension = String(spx.imageExtension || "png");
+      }
+      return f;
+    });
+
+  // steps > 1 gives the SPX rundown item a Continue button (-> next()). Pages only come
+  // with UPDATE data, which SPX's field form doesn't send, so they need spx.steps.
+  const steps = Number(spx.steps) > 0 ? Math.round(Number(spx.steps)) : triggers.next ? 2 : 1;
+  const out = spx.out == null || spx.out === "" ? "manual" : String(spx.out);
+
+  return {
+    description: String(spx.description || schema.artboard || "Rive graphic"),
+    playserver: String(spx.playserver || "OVERLAY"),
+    playchannel: String(spx.playchannel || "1"),
+    playlayer: String(spx.playlayer || "1"),
+    webplayout: String(spx.webplayout || spx.playlayer || "1"),
+    out,
+    uicolor: String(spx.uicolor || "0"),
+    steps: String(steps),
+    dataformat: "json",
+    DataFields: fields,
+  };
+}
+
 // helpers for the generator (Node/Browser-safe)
+// fieldAliases array -> template literal keyed by alias (rows without alias/prop dropped)
+// Formatting turns the value into text, so only string props (or props not in the schema)
+// get it; number props keep just the rounding to `decimals`, other types the plain value.
+function aliasTable(list, types = {}){
+  const out = {};
+  (Array.isArray(list) ? list : []).forEach((a) => {
+    if (!a || !a.alias || !a.prop) return;
+    const t = { prop: String(a.prop) };
+    const type = types[t.prop];
+    const formats = !type || type === "string";
+    if (formats && ["upper", "lower", "title"].indexOf(a.case) >= 0) t.case = a.case;
+    const d = a.decimals === "" || a.decimals == null ? NaN : Number(a.decimals);
+    if ((formats || type === "number") && Number.isInteger(d) && d >= 0 && d <= 10) t.decimals = d;
+    if (formats && a.thousands) t.thousands = String(a.thousands);
+    if (formats && a.prefix) t.prefix = String(a.prefix);
+    if (formats && a.suffix) t.suffix = String(a.suffix);
+    out[String(a.alias)] = t;
+  });
+  return JSON.stringify(out).replace(/</g, "\\u003c");
+}
+
 function esc(s){ return String(s).replace(/["\\]/g, (m) => "\\" + m); }
 
 // Optional URL param → VM setter lines (inserted in template for quick tests)
@@ -456,13 +1338,15 @@ function setterLine(p){
   const key = `vm.${p.name}`;  // exact (case-sensitive) URL key
   const safe = esc(p.name);
   if (p.type === "string")
-    return `v = params.get("${key}"); if (v != null) { try { if (vmi && vmi.string) { it = vmi.string("${safe}"); if (it) it.value = String(v); } } catch(e){} }`;
+    return `v = params.get("${key}"); if (v != null) { try { it = vmProp("string", "${safe}"); if (it) it.value = String(v); } catch(e){} }`;
   if (p.type === "number")
-    return `v = params.get("${key}"); if (v != null) { n = Number(v); if (isFinite(n)) { try { if (vmi && vmi.number) { it = vmi.number("${safe}"); if (it) it.value = n; } } catch(e){} } }`;
+    return `v = params.get("${key}"); if (v != null) { n = Number(v); if (isFinite(n)) { try { it = vmProp("number", "${safe}"); if (it) it.value = n; } catch(e){} } }`;
   if (p.type === "boolean")
-    return `v = params.get("${key}"); if (v != null) { b = (String(v).toLowerCase()==="true"||v==="1"||String(v).toLowerCase()==="yes"); try { if (vmi && vmi.boolean) { it = vmi.boolean("${safe}"); if (it) it.value = b; } } catch(e){} }`;
+    return `v = params.get("${key}"); if (v != null) { b = (String(v).toLowerCase()==="true"||v==="1"||String(v).toLowerCase()==="yes"); try { it = vmProp("boolean", "${safe}"); if (it) it.value = b; } catch(e){} }`;
   if (p.type === "color")
-    return `v = params.get("${key}"); if (v != null) { c = toColor32(v); if (c != null) { try { if (vmi && vmi.color) { it = vmi.color("${safe}"); if (it) it.value = c; } } catch(e){} } }`;
+    return `v = params.get("${key}"); if (v != null) { c = toColor32(v); if (c != null) { try { it = vmProp("color", "${safe}"); if (it) it.value = c; } catch(e){} } }`;
+  if (p.type === "enum")
+    return `v = params.get("${key}"); if (v != null) { try { it = vmProp("enum", "${safe}"); if (it) setEnum(it, v); } catch(e){} }`;
   if (p.type === "image")
     return `v = params.get("${key}"); if (v != null) { try { setImageFromSource("${safe}", String(v)); } catch(e){} }`;
   if (p.type === "trigger")
@@ -476,27 +1360,31 @@ function setterUpdateLine(p){
   if (p.type === "trigger")
     return `if (o["${safe}"] === true) { try { fireVmTrigger("${safe}"); } catch(e){} }`;
   if (p.type === "string")
-    return `if (o["${safe}"] != null) try { if (vmi && vmi.string) { var it=vmi.string("${safe}"); if (it) it.value = String(o["${safe}"]); } } catch(e){}`;
+    return `if (o["${safe}"] != null) try { var it = vmProp("string", "${safe}"); if (it) it.value = String(o["${safe}"]); } catch(e){}`;
   if (p.type === "number")
-    return `if (o["${safe}"] != null) { var n=Number(o["${safe}"]); if (isFinite(n)) try { if (vmi && vmi.number) { var it=vmi.number("${safe}"); if (it) it.value = n; } } catch(e){} }`;
+    return `if (o["${safe}"] != null) { var n=Number(o["${safe}"]); if (isFinite(n)) try { var it = vmProp("number", "${safe}"); if (it) it.value = n; } catch(e){} }`;
   if (p.type === "boolean")
-    return `if (o["${safe}"] != null) try { if (vmi && vmi.boolean) { var it=vmi.boolean("${safe}"); if (it) it.value = (String(o["${safe}"]).toLowerCase()==="true"||o["${safe}"]===true||o["${safe}"]===1||String(o["${safe}"]).toLowerCase()==="yes"); } } catch(e){}`;
+    return `if (o["${safe}"] != null) try { var it = vmProp("boolean", "${safe}"); if (it) it.value = (String(o["${safe}"]).toLowerCase()==="true"||o["${safe}"]===true||o["${safe}"]===1||String(o["${safe}"]).toLowerCase()==="yes"); } catch(e){}`;
   if (p.type === "color")
-    return `if (o["${safe}"] != null) { var c=toColor32(o["${safe}"]); if (c!=null) try { if (vmi && vmi.color) { var it=vmi.color("${safe}"); if (it) it.value = c; } } catch(e){} }`;
+    return `if (o["${safe}"] != null) { var c=toColor32(o["${safe}"]); if (c!=null) try { var it = vmProp("color", "${safe}"); if (it) it.value = c; } catch(e){} }`;
+  if (p.type === "enum")
+    return `if (o["${safe}"] != null) try { var it = vmProp("enum", "${safe}"); if (it) setEnum(it, o["${safe}"]); } catch(e){}`;
   if (p.type === "image")
     return `if (o["${safe}"] != null) try { setImageFromSource("${safe}", String(o["${safe}"])); } catch(e){}`;
   return "";
 }
 
-// Bake default VM values (stringly-typed; converted at runtime)
+// Bake default VM values (stringly-typed; converted at runtime).
+// Each line is its own function so one default doesn't end the others.
 function bakeDefaultLine(name, value){
   const safe = esc(name);
-  return `try {
-    var it;
-    if (vmi && vmi.string && (it=vmi.string("${safe}")))   { it.value = String(${JSON.stringify(String(value))}); return; }
-    if (vmi && vmi.number && (it=vmi.number("${safe}")))   { var n = Number(${JSON.stringify(String(value))}); if (isFinite(n)) it.value = n; return; }
-    if (vmi && vmi.boolean && (it=vmi.boolean("${safe}"))) { var b = (String(${JSON.stringify(String(value))}).toLowerCase()==="true"); it.value = b; return; }
-    if (vmi && vmi.color && (it=vmi.color("${safe}")))     { var c = toColor32(${JSON.stringify(String(value))}); if (c!=null) it.value = c; return; }
-    if (vmi && vmi.image && (it=vmi.image("${safe}")))     { setImageFromSource("${safe}", String(${JSON.stringify(String(value))})); return; }
-  } catch(e){}`;
+  return `(function(){ try {
+    var it, v = ${JSON.stringify(String(value))};
+    if ((it=vmProp("string", "${safe}")))   { it.value = String(v); return; }
+    if ((it=vmProp("number", "${safe}")))   { var n = Number(v); if (/\\S/.test(v) && isFinite(n)) it.value = n; return; }
+    if ((it=vmProp("boolean", "${safe}"))) { it.value = (String(v).toLowerCase()==="true"); return; }
+    if ((it=vmProp("color", "${safe}")))     { var c = toColor32(v); if (c!=null) it.value = c; return; }
+    if ((it=vmProp("enum", "${safe}")))      { setEnum(it, v); return; }
+    if ((it=vmProp("image", "${safe}")))     { setImageFromSource("${safe}", String(v)); return; }
+  } catch(e){} })();`;
 }
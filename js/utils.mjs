@@ -27,3 +27,21 @@ export function fileToBase64(file) {
     fr.readAsDataURL(file);
   });
 }
+
+// Base64 in 48 KB slices (a multiple of 3, so the pieces join cleanly), yielding to the
+// event loop now and then so large files don't freeze the page
+export async function bytesToBase64(bytes) {
+  const CHUNK = 3 * 16384;
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    parts.push(btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK))));
+    if (parts.length % 64 === 0) await new Promise(r => setTimeout(r));
+  }
+  return parts.join('');
+}
+
+// format: "gzip" | "deflate"; needs CompressionStream
+export async function compressBytes(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
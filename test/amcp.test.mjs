@@ -0,0 +1,60 @@
+// test/amcp.test.mjs
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { buildAmcpCommands, buildAmcpScript } from '../js/amcp.mjs';
+import { parsePayload } from '../js/payload-parsers.mjs';
+
+let dom;
+before(() => { dom = new JSDOM(''); globalThis.DOMParser = dom.window.DOMParser; });
+after(() => { delete globalThis.DOMParser; dom.window.close(); });
+
+const SCHEMA = {
+  viewModelProps: [
+    { name: 'Title', type: 'string', value: 'Hello' },
+    { name: 'In', type: 'trigger' },
+  ],
+};
+const TRICKY = 'say "hi" \\ C:\\gfx\\\nline 2 <&>';
+
+// The payload as the server sees it: the last AMCP parameter, unquoted
+function amcpData(command) {
+  const quoted = /("(?:[^"\\]|\\.)*")$/.exec(command)[1];
+  return quoted.slice(1, -1).replace(/\\(.)/g, (_, ch) => (ch === 'n' ? '\n' : ch));
+}
+
+test('commands use the default channel and layers', () => {
+  const c = buildAmcpCommands(SCHEMA, 'caspar-lt.html');
+  assert.equal(c.add, 'CG 1-20 ADD 1 "caspar-lt" 1 "<templateData><componentData id=\\"Title\\"><data id=\\"text\\" value=\\"Hello\\"/></componentData></templateData>"');
+  assert.equal(c.play, 'CG 1-20 PLAY 1');
+  assert.equal(c.next, 'CG 1-20 NEXT 1');
+  assert.equal(buildAmcpCommands(SCHEMA, 'lt.html', { channel: '2', videoLayer: '10', layer: 0 }).stop, 'CG 2-10 STOP 0');
+});
+
+test('bad channel or layer numbers are rejected', () => {
+  assert.throws(() => buildAmcpCommands(SCHEMA, 'lt.html', { layer: 'abc' }), /layer must be a whole number/);
+  assert.throws(() => buildAmcpCommands(SCHEMA, 'lt.html', { layer: -1 }), /layer must be a whole number/);
+  assert.throws(() => buildAmcpCommands(SCHEMA, 'lt.html', { channel: 0 }), /channel must be a whole number/);
+  assert.throws(() => buildAmcpCommands(SCHEMA, 'lt.html', { videoLayer: 1.5 }), /video layer must be a whole number/);
+});
+
+test('the script plays on ADD unless playOnLoad is off', () => {
+  const lines = (opts) => buildAmcpScript(SCHEMA, 'lt.html', opts).split('\r\n').map(l => l.split(' ')[2]);
+  assert.deepEqual(lines(), ['ADD', 'UPDATE', 'NEXT', 'STOP', 'REMOVE', undefined]);
+  assert.deepEqual(lines({ playOnLoad: false }), ['ADD', 'PLAY', 'UPDATE', 'NEXT', 'STOP', 'REMOVE', undefined]);
+  assert.match(buildAmcpCommands(SCHEMA, 'lt.html', { playOnLoad: false }).add, /"lt" 0 "/);
+});
+
+test('quotes, backslashes and newlines survive XML templateData', () => {
+  const c = buildAmcpCommands(SCHEMA, 'lt.html', { values: { Title: TRICKY } });
+  assert.ok(!/[\r\n]/.test(c.update));
+  assert.deepEqual(parsePayload(amcpData(c.update)), { Title: TRICKY });
+  assert.deepEqual(parsePayload(amcpData(c.add)), { Title: TRICKY });
+});
+
+test('quotes, backslashes and newlines survive JSON templateData', () => {
+  const c = buildAmcpCommands(SCHEMA, 'lt.html', { values: { Title: TRICKY }, sendAsJson: true });
+  assert.ok(!/[\r\n]/.test(c.update));
+  assert.deepEqual(JSON.parse(amcpData(c.update)), { Title: TRICKY });
+  assert.deepEqual(parsePayload(amcpData(c.update)), { Title: TRICKY });
+});
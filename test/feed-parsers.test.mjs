@@ -0,0 +1,58 @@
+// test/feed-parsers.test.mjs
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { parseCsv, pickPath, feedRecord, feedParsersSource } from '../js/feed-parsers.mjs';
+
+// XML feeds use the global DOMParser, as in the browser
+let dom;
+before(() => { dom = new JSDOM(''); globalThis.DOMParser = dom.window.DOMParser; });
+after(() => { delete globalThis.DOMParser; dom.window.close(); });
+
+test('CSV with quoted fields, embedded commas, quotes and newlines', () => {
+  const csv = 'Name,Title,Note\n"Doe, Jane","Says ""hi""","line 1\nline 2"\nSmith,,x\n';
+  assert.deepEqual(parseCsv(csv), [
+    { Name: 'Doe, Jane', Title: 'Says "hi"', Note: 'line 1\nline 2' },
+    { Name: 'Smith', Title: '', Note: 'x' },
+  ]);
+});
+
+test('CSV with CRLF, a missing last newline, short rows and blank lines', () => {
+  assert.deepEqual(parseCsv('a,b\r\n1,2\r\n\r\n3'), [{ a: '1', b: '2' }, { a: '3', b: '' }]);
+  assert.deepEqual(parseCsv('a,b'), []);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('pickPath', () => {
+  const o = { player: { name: 'Jane', scores: [3, 4] }, 'team.name': 'Reds' };
+  assert.equal(pickPath(o, 'player.name'), 'Jane');
+  assert.equal(pickPath(o, 'player.scores.1'), 4);
+  assert.equal(pickPath(o, 'team.name'), 'Reds');
+  assert.equal(pickPath(o, 'player.missing.deep'), undefined);
+  assert.equal(pickPath(null, 'x'), undefined);
+});
+
+test('feedRecord takes the first CSV row, BOM and all', () => {
+  const csv = '\uFEFFName,Score\r\nJane,3\r\nJohn,4\r\n';
+  assert.deepEqual(feedRecord(csv, 'csv', {}), { Name: 'Jane', Score: '3' });
+  assert.deepEqual(feedRecord(csv, 'auto', {}), { Name: 'Jane', Score: '3' });
+  assert.deepEqual(feedRecord(csv, 'csv', { Title: 'Name' }), { Title: 'Jane' });
+});
+
+test('feedRecord resolves map paths against the first JSON array record', () => {
+  const json = JSON.stringify([{ home: { name: 'Reds', score: 2 } }, { home: { name: 'Blues', score: 0 } }]);
+  assert.deepEqual(feedRecord(json, 'json', { Team: 'home.name', Score: 'home.score', Gone: 'away.name' }), { Team: 'Reds', Score: 2 });
+  assert.deepEqual(feedRecord('{"home":{"name":"Reds"}}', 'auto', { Team: 'home.name' }), { Team: 'Reds' });
+});
+
+test('feedRecord without a map passes the record through', () => {
+  assert.deepEqual(feedRecord('{"Title":"Hello"}', 'json'), { Title: 'Hello' });
+  const xml = '<templateData><componentData id="f0"><data id="text" value="Jane"/></componentData></templateData>';
+  assert.deepEqual(feedRecord(xml, 'auto', {}), { f0: 'Jane' });
+});
+
+test('feedParsersSource inlines plain ES5 function declarations', () => {
+  const src = feedParsersSource();
+  for (const name of ['pickPath', 'parseCsv', 'feedRecord']) assert.match(src, new RegExp(`function ${name}\\(`));
+  assert.doesNotMatch(src, /=>|\blet\b|\bconst\b|`/);
+});
@@ -0,0 +1,117 @@
+// test/helpers/template-harness.mjs
+// Runs a generated template's inline scripts in a node:vm context with a fake Rive runtime,
+// manual timers and a fake XMLHttpRequest, and drives it through window.update/play/next/stop.
+import vm from 'node:vm';
+import { buildTemplate } from '../../js/template-builders.mjs';
+
+// spec: { Title: ['string', 'x'], Logo: ['image', null], In: ['trigger'] }
+function fakeViewModel(spec, log) {
+  const vmi = { properties: [] };
+  const props = {};
+  for (const [name, [type, value]] of Object.entries(spec)) {
+    props[name] = {
+      type,
+      prop: {
+        _v: value,
+        get value() { return this._v; },
+        set value(v) { this._v = v; log.push(`${name}=${JSON.stringify(v)}`); },
+        fire() { log.push(`fire ${name}`); },
+      },
+    };
+    vmi.properties.push({ name, type });
+  }
+  for (const t of ['string', 'number', 'boolean', 'color', 'enum', 'trigger', 'image', 'list', 'viewModel']) {
+    vmi[t] = (name) => (props[name] && props[name].type === t ? props[name].prop : null);
+  }
+  return vmi;
+}
+
+export function runTemplate(schema, opts, spec, { url = 'http://localhost/t.html', visibilityState = 'visible' } = {}) {
+  const html = buildTemplate(schema, opts);
+  const scripts = [...html.matchAll(/<script(?![^>]*src=)([^>]*)>([\s\S]*?)<\/script>/g)];
+  const elements = {};
+  for (const [, attrs, body] of scripts) {
+    const id = /id="([^"]+)"/.exec(attrs);
+    if (id) elements[id[1]] = { textContent: body };
+  }
+
+  const log = [];
+  const timers = [];
+  const requests = [];
+  const listeners = {};
+  const vmi = fakeViewModel(spec, log);
+  let decoded = 0;
+
+  class XMLHttpRequest {
+    open(method, url) { this.url = url; }
+    send() { log.push(`GET ${this.url}`); requests.push(this); }
+  }
+
+  const ctx = {
+    console, Uint8Array, ArrayBuffer, atob, btoa, Promise, JSON, Math, Date,
+    setTimeout: (fn) => timers.push(fn),
+    clearTimeout: (id) => { if (id) timers[id - 1] = null; },
+    setInterval: () => 0, clearInterval() {},
+    requestAnimationFrame: () => 0,
+    XMLHttpRequest,
+    location: { href: url },
+    fetch: () => Promise.reject(new Error('offline')),
+    addEventListener(type, fn) { (listeners[type] ||= []).push(fn); },
+    dispatchEvent() {},
+    CustomEvent: class { constructor(type, o) { this.type = type; this.detail = o && o.detail; } },
+    URL: class extends URL { static createObjectURL() { return 'blob:fake'; } static revokeObjectURL() {} },
+    document: {
+      getElementById: (id) => (elements[id] ||= { style: {}, getContext() { return null; }, addEventListener() {}, appendChild() {} }),
+      createElement: () => ({ style: {}, appendChild() {}, setAttribute() {} }),
+      body: { appendChild() {} },
+      addEventListener() {},
+      visibilityState,
+    },
+    rive: {
+      Rive: class {
+        constructor(o) { this.viewModelInstance = vmi; timers.push(() => o.onLoad && o.onLoad()); }
+        play() { log.push('play'); }
+        stop() { log.push('stop'); }
+        cleanup() {}
+        on() {}
+        resizeDrawingSurfaceToCanvas() {}
+      },
+      Layout: class { constructor(o) { Object.assign(this, o); } },
+      EventType: { RiveEvent: 'riveevent', StateChange: 'statechange' },
+      decodeImage: async (bytes) => ({ id: ++decoded, size: bytes.length, unref() {} }),
+    },
+  };
+  ctx.window = ctx;
+  ctx.parent = ctx;
+  vm.createContext(ctx);
+  for (const [, attrs, body] of scripts) {
+    if (!/type="application/.test(attrs)) vm.runInContext(body, ctx);
+  }
+
+  return {
+    window: ctx,
+    log,
+    // Run every pending timer, including ones queued while flushing
+    flush() {
+      for (let i = 0; i < timers.length; i++) {
+        const fn = timers[i];
+        timers[i] = null;
+        if (fn) fn();
+      }
+    },
+    // Fire a window event the way the host (e.g. OBS) would
+    emit(type, detail) {
+      for (const fn of listeners[type] || []) fn({ type, detail });
+    },
+    // Answer every pending XMLHttpRequest with `bytes` and let the decode promises settle
+    async respond(bytes = 4) {
+      while (requests.length) {
+        const xhr = requests.shift();
+        xhr.status = 200;
+        xhr.response = new ArrayBuffer(bytes);
+        xhr.onload();
+      }
+      for (let i = 0; i < 3; i++) await new Promise((r) => setImmediate(r));
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// test/inflate.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { decompressBytes, inflateRaw } from '../js/inflate.mjs';
+
+const TEXT = Buffer.from(Array.from({ length: 400 }, (_, i) => `line ${i}: ${'abcdefghij'.slice(i % 10)}\n`).join(''));
+const NOISE = Buffer.from(Array.from({ length: 5000 }, (_, i) => (i * 7919 + (i >> 3) * 31) & 255));
+
+// Block type of the first block in a raw deflate stream (0 stored, 1 fixed, 2 dynamic)
+const blockType = (raw) => (raw[0] >> 1) & 3;
+const inflate = (buf, format) => Buffer.from(decompressBytes(new Uint8Array(buf), format));
+
+test('stored, fixed-Huffman and dynamic-Huffman blocks', () => {
+  const stored = zlib.deflateRawSync(TEXT, { level: 0 });
+  const fixed = zlib.deflateRawSync(TEXT, { strategy: zlib.constants.Z_FIXED });
+  const dynamic = zlib.deflateRawSync(TEXT);
+  assert.deepEqual([stored, fixed, dynamic].map(blockType), [0, 1, 2]);
+  for (const raw of [stored, fixed, dynamic]) {
+    assert.ok(inflate(raw, 'raw').equals(TEXT));
+    assert.ok(Buffer.from(inflateRaw(new Uint8Array(raw))).equals(TEXT));
+  }
+});
+
+test('zlib and gzip wrappers round-trip', () => {
+  for (const data of [Buffer.alloc(0), TEXT, NOISE]) {
+    for (const level of [0, 1, 9]) {
+      assert.ok(inflate(zlib.deflateSync(data, { level }), 'deflate').equals(data));
+      assert.ok(inflate(zlib.gzipSync(data, { level }), 'gzip').equals(data));
+      assert.ok(inflate(zlib.deflateRawSync(data, { level }), '').equals(data));
+    }
+  }
+});
+
+test('gzip header with FEXTRA, FNAME and FCOMMENT', () => {
+  const gz = zlib.gzipSync(TEXT);
+  const header = Buffer.from(gz.subarray(0, 10));
+  header[3] = 4 | 8 | 16;
+  const extra = Buffer.from([4, 0, 0x41, 0x42, 2, 0]);
+  const name = Buffer.from('graphic.riv\0');
+  const comment = Buffer.from('lower third\0');
+  const withHeader = Buffer.concat([header, extra, name, comment, gz.subarray(10)]);
+  assert.ok(inflate(withHeader, 'gzip').equals(TEXT));
+});
+
+test('wrong wrappers are rejected', () => {
+  assert.throws(() => inflate(zlib.deflateSync(TEXT), 'gzip'), /Not gzip data/);
+  assert.throws(() => inflate(zlib.gzipSync(TEXT), 'deflate'), /Not zlib data/);
+});
+
+test('truncated input throws', () => {
+  for (const buf of [zlib.deflateRawSync(TEXT, { level: 0 }), zlib.deflateRawSync(TEXT, { strategy: zlib.constants.Z_FIXED }), zlib.deflateRawSync(TEXT)]) {
+    for (const cut of [0, 1, 3, buf.length >> 1, buf.length - 1]) {
+      assert.throws(() => inflate(buf.subarray(0, cut), 'raw'), /inflate: /);
+    }
+  }
+  assert.throws(() => inflate(zlib.gzipSync(TEXT).subarray(0, 12), 'gzip'), /inflate: /);
+});
+
+test('corrupt input throws', () => {
+  assert.throws(() => inflate([0x07], 'raw'), /bad block type/);
+  const stored = Buffer.from(zlib.deflateRawSync(TEXT, { level: 0 }));
+  stored[3] ^= 0xff; // NLEN no longer the complement of LEN
+  assert.throws(() => inflate(stored, 'raw'), /bad stored block/);
+  // Fixed-Huffman block whose first symbol is a match with nothing written yet
+  assert.throws(() => inflate([0x03, 0x02], 'raw'), /distance too far back/);
+});
+
+test('random bytes never hang', () => {
+  let seed = 1;
+  const rand = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) & 255;
+  for (let i = 0; i < 200; i++) {
+    const buf = Array.from({ length: 64 }, rand);
+    try { inflate(buf, 'raw'); } catch (e) { assert.match(e.message, /inflate: /); }
+  }
+});
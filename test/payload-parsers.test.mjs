@@ -0,0 +1,87 @@
+// test/payload-parsers.test.mjs
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { parsePayload, parseCasparJsonStrict, parseCasparJsonLenient } from '../js/payload-parsers.mjs';
+
+// The XML parser uses the global DOMParser, as in the browser
+let dom;
+before(() => { dom = new JSDOM(''); globalThis.DOMParser = dom.window.DOMParser; });
+after(() => { delete globalThis.DOMParser; dom.window.close(); });
+
+const CASPAR_XML = '<templateData>'
+  + '<componentData id="f0"><data id="text" value="Jane Doe"/></componentData>'
+  + '<componentData id="f1"><data id="text" value="Reporter &amp; Host"/></componentData>'
+  + '</templateData>';
+const CASPAR_JSON = { templateData: { componentData: [
+  { id: 'f0', data: { value: 'Jane Doe' } },
+  { id: 'f1', data: { text: 'Reporter' } },
+] } };
+
+test('Caspar XML', () => {
+  assert.deepEqual(parsePayload(CASPAR_XML), { f0: 'Jane Doe', f1: 'Reporter & Host' });
+  assert.deepEqual(parsePayload('\uFEFF  ' + CASPAR_XML), { f0: 'Jane Doe', f1: 'Reporter & Host' });
+});
+
+test('Caspar XML with lower-case componentdata and an empty value', () => {
+  const xml = '<templatedata><componentdata id="f0"><data id="text" value=""/></componentdata></templatedata>';
+  assert.deepEqual(parsePayload(xml), { f0: '' });
+});
+
+test('Caspar JSON templateData', () => {
+  const expected = { f0: 'Jane Doe', f1: 'Reporter' };
+  assert.deepEqual(parsePayload(JSON.stringify(CASPAR_JSON)), expected);
+  assert.deepEqual(parsePayload(CASPAR_JSON), expected);
+  assert.deepEqual(parseCasparJsonStrict(JSON.stringify(CASPAR_JSON)), expected);
+  assert.deepEqual(parseCasparJsonLenient(CASPAR_JSON), expected);
+});
+
+test('flat JSON', () => {
+  const flat = { Title: 'Hello', Score: 3 };
+  assert.deepEqual(parsePayload('{"Title":"Hello","Score":3}'), flat);
+  assert.deepEqual(parsePayload(flat), flat);
+  assert.deepEqual(parseCasparJsonStrict('{"Title":"Hello","Score":3}'), flat);
+  assert.deepEqual(parseCasparJsonLenient('{"Title":"Hello","Score":3}'), flat);
+});
+
+test('double-encoded JSON', () => {
+  const twice = JSON.stringify(JSON.stringify({ Title: 'Hello' }));
+  assert.deepEqual(parseCasparJsonStrict(twice), { Title: 'Hello' });
+  assert.deepEqual(parsePayload(twice), { Title: 'Hello' });
+});
+
+test('BOM', () => {
+  assert.deepEqual(parsePayload('\uFEFF{"Title":"Hello"}'), { Title: 'Hello' });
+  assert.deepEqual(parseCasparJsonLenient('\uFEFF{"Title":"Hello"}'), { Title: 'Hello' });
+  assert.throws(() => parseCasparJsonStrict('\uFEFF{"Title":"Hello"}'));
+});
+
+test('JSON wrapped in quotes', () => {
+  assert.deepEqual(parsePayload('\'{"Title":"Hello"}\''), { Title: 'Hello' });
+  assert.deepEqual(parseCasparJsonLenient('\'{"Title":"Hello"}\''), { Title: 'Hello' });
+  assert.throws(() => parseCasparJsonStrict('\'{"Title":"Hello"}\''));
+});
+
+test('bare newlines inside JSON strings', () => {
+  const raw = '{\n  "Title": "Line 1\nLine 2",\r\n  "Sub": "a\r\nb",\n  "Old": "c\rd"\n}';
+  const expected = { Title: 'Line 1\nLine 2', Sub: 'a\nb', Old: 'c\nd' };
+  assert.deepEqual(parsePayload(raw), expected);
+  assert.deepEqual(parseCasparJsonLenient(raw), expected);
+  assert.throws(() => parseCasparJsonStrict(raw));
+});
+
+test('escaped quotes and backslashes survive the newline repair', () => {
+  const raw = '{"Quote": "say \\"hi\\"\nnow", "Path": "C:\\\\x\\\\"}';
+  assert.deepEqual(parsePayload(raw), { Quote: 'say "hi"\nnow', Path: 'C:\\x\\' });
+});
+
+test('last-resort key/value scan', () => {
+  assert.deepEqual(parsePayload('{"Title": "Hello", "Sub": "World",}'), { Title: 'Hello', Sub: 'World' });
+});
+
+test('empty and non-payload input', () => {
+  assert.deepEqual(parsePayload(null), {});
+  assert.deepEqual(parsePayload(undefined), {});
+  assert.deepEqual(parsePayload(42), {});
+  assert.deepEqual(parsePayload(''), {});
+});
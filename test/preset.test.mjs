@@ -0,0 +1,71 @@
+// test/preset.test.mjs
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { buildCasparClientPresetXml, parseCasparClientPresetXml, matchPresetValues } from '../js/preset.mjs';
+
+// The parser uses the global DOMParser, as in the browser
+let dom;
+before(() => { dom = new JSDOM(''); globalThis.DOMParser = dom.window.DOMParser; });
+after(() => { delete globalThis.DOMParser; dom.window.close(); });
+
+const SCHEMA = {
+  viewModelProps: [
+    { name: 'Title', type: 'string', value: 'Hello' },
+    { name: 'Score', type: 'number', value: 0 },
+    { name: 'In', type: 'trigger' },
+  ],
+};
+const ALIASES = [{ alias: 'f0', prop: 'Title' }];
+
+test('build, parse and match round-trips values through aliases', () => {
+  const xml = buildCasparClientPresetXml(SCHEMA, 'caspar-lt.html', {
+    layer: 5, channel: 2, label: 'Lower third', aliases: ALIASES, values: { Title: 'Jane "JD" Doe <&>', Score: '3' },
+  });
+  const [item] = parseCasparClientPresetXml(xml);
+  assert.equal(item.name, 'caspar-lt');
+  assert.equal(item.label, 'Lower third');
+  assert.equal(item.layer, '5');
+  assert.equal(item.channel, '2');
+  assert.deepEqual(item.values, { f0: 'Jane "JD" Doe <&>', Score: '3' });
+  assert.deepEqual(matchPresetValues(SCHEMA, item.values, ALIASES), {
+    values: { Title: 'Jane "JD" Doe <&>', Score: '3' }, missing: [], renamed: [],
+  });
+});
+
+test('re-exporting parsed items keeps export-wide settings they leave unset', () => {
+  const parsed = parseCasparClientPresetXml(buildCasparClientPresetXml(SCHEMA, 'lt.html', {}));
+  assert.equal(parsed[0].channel, undefined);
+  const xml = buildCasparClientPresetXml(SCHEMA, 'lt.html', { channel: 3, items: parsed });
+  assert.match(xml, /<channel>3<\/channel>/);
+});
+
+test('rundown items become one <item> each, with their own values and settings', () => {
+  const xml = buildCasparClientPresetXml(SCHEMA, 'caspar-lt.html', {
+    layer: 5, channel: 1, sendAsJson: false, aliases: ALIASES,
+    items: [
+      { label: 'Jane', values: { Title: 'Jane Doe' } },
+      { label: 'John', values: { Title: 'John Roe', Score: '7' }, layer: 6, channel: 2, triggerOnNext: true },
+      { label: 'Defaults', values: {} },
+    ],
+  });
+  assert.equal(xml.match(/<item>/g).length, 3);
+  const items = parseCasparClientPresetXml(xml);
+  assert.deepEqual(items.map(it => [it.label, it.name, it.layer, it.channel, it.triggerOnNext, it.sendAsJson]), [
+    ['Jane', 'caspar-lt', '5', '1', false, false],
+    ['John', 'caspar-lt', '6', '2', true, false],
+    ['Defaults', 'caspar-lt', '5', '1', false, false],
+  ]);
+  assert.deepEqual(items.map(it => it.values), [
+    { f0: 'Jane Doe', Score: '0' },
+    { f0: 'John Roe', Score: '7' },
+    { f0: 'Hello', Score: '0' },
+  ]);
+});
+
+test('no rundown exports a single item', () => {
+  for (const items of [undefined, []]) {
+    const xml = buildCasparClientPresetXml(SCHEMA, 'lt.html', { items });
+    assert.equal(xml.match(/<item>/g).length, 1);
+  }
+});
@@ -0,0 +1,60 @@
+// test/project.test.mjs
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROJECT_VERSION, hashFile, normalizeProject, saveRecentProject, loadRecentProject,
+} from '../js/project.mjs';
+
+// Recall goes through the global localStorage, as in the browser
+class MemoryStorage {
+  constructor() { this.items = new Map(); }
+  getItem(k) { return this.items.has(k) ? this.items.get(k) : null; }
+  setItem(k, v) { this.items.set(k, String(v)); }
+  removeItem(k) { this.items.delete(k); }
+}
+beforeEach(() => { globalThis.localStorage = new MemoryStorage(); });
+after(() => { delete globalThis.localStorage; });
+
+const project = (hash, artboard) => ({ version: PROJECT_VERSION, riv: { name: 'lt.riv', hash }, artboard });
+
+test('normalizeProject fills in fields missing from older projects', () => {
+  assert.deepEqual(normalizeProject({ version: 0, riv: { name: 'lt.riv' }, artboard: 'Main' }), {
+    version: 0, riv: { name: 'lt.riv' }, artboard: 'Main',
+    stateMachine: '', settings: {}, preset: {}, vmDefaults: {}, rundown: [],
+  });
+});
+
+test('normalizeProject rejects newer versions and other JSON', () => {
+  assert.throws(() => normalizeProject({ version: PROJECT_VERSION + 1, riv: { name: 'lt.riv' } }), /newer than this builder supports/);
+  for (const p of [null, 'x', {}, { version: 1 }, { version: '1', riv: {} }, { riv: { name: 'lt.riv' } }]) {
+    assert.throws(() => normalizeProject(p), /Not a Rive → Caspar project file/);
+  }
+});
+
+test('recall by name and hash, falling back to the latest for that name', () => {
+  saveRecentProject(project('aaa', 'First'));
+  saveRecentProject(project('bbb', 'Second'));
+
+  const exact = loadRecentProject('lt.riv', 'aaa');
+  assert.equal(exact.exact, true);
+  assert.equal(exact.project.artboard, 'First');
+
+  const fallback = loadRecentProject('lt.riv', 'ccc');
+  assert.equal(fallback.exact, false);
+  assert.equal(fallback.project.artboard, 'Second');
+
+  assert.equal(loadRecentProject('other.riv', 'aaa'), null);
+});
+
+test('projects without a name or hash are not saved; unreadable ones are ignored', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  saveRecentProject({ version: PROJECT_VERSION, riv: { name: 'lt.riv' } });
+  assert.equal(localStorage.items.size, 0);
+  localStorage.setItem('rive-cg:project:lt.riv:latest', '{not json');
+  assert.equal(loadRecentProject('lt.riv', 'aaa'), null);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('hashFile is the SHA-256 of the contents', async () => {
+  assert.equal(await hashFile(new Blob(['abc'])), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
@@ -0,0 +1,120 @@
+// test/rive-cg.test.mjs
+// Smoke tests for bin/rive-cg.mjs: `build --schema` always, the .riv reader only when
+// the optional @rive-app/canvas-advanced is installed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { gunzipSync } from 'node:zlib';
+import os from 'node:os';
+import path from 'node:path';
+
+const CLI = new URL('../bin/rive-cg.mjs', import.meta.url).pathname;
+
+function cli(args, cwd) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+}
+
+async function tempDir(t) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'rive-cg-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const SCHEMA = {
+  artboard: 'Lower Third',
+  stateMachine: 'State Machine 1',
+  viewModelProps: [
+    { name: 'Title', type: 'string', value: 'Hello' },
+    { name: 'In', type: 'trigger', value: null },
+    { name: 'Out', type: 'trigger', value: null },
+  ],
+};
+
+// Minimal .riv: one artboard "Main" with state machine "SM" and the given inputs
+// ([name, typeKey, value?]; 56 number, 58 trigger, 59 boolean)
+function rivWithInputs(inputs) {
+  const vu = (n) => { const o = []; do { let b = n & 0x7f; n = Math.floor(n / 128); if (n) b |= 0x80; o.push(b); } while (n); return o; };
+  const str = (s) => { const b = [...Buffer.from(s)]; return [...vu(b.length), ...b]; };
+  const f32 = (x) => { const b = Buffer.alloc(4); b.writeFloatLE(x); return [...b]; };
+  // ToC: name, width, height, animation name, input name, number value, bool value
+  const toc = [4, 7, 8, 55, 138, 140, 141];
+  const types = [1, 2, 2, 1, 1, 2, 0];
+  const words = Buffer.alloc(8);
+  types.forEach((t, i) => words.writeUInt32LE((words.readUInt32LE((i >> 2) * 4) | (t << ((i & 3) * 2))) >>> 0, (i >> 2) * 4));
+  const objects = inputs.flatMap(([name, type, value]) => [
+    ...vu(type), ...vu(138), ...str(name),
+    ...(type === 56 ? [...vu(140), ...f32(value)] : type === 59 ? [...vu(141), value ? 1 : 0] : []), 0,
+  ]);
+  return new Uint8Array([
+    ...Buffer.from('RIVE'), ...vu(7), ...vu(0), ...vu(0),
+    ...toc.flatMap(vu), 0, ...words,
+    ...vu(23), 0, // backboard
+    ...vu(1), 4, ...str('Main'), 7, ...f32(500), 8, ...f32(300), 0,
+    ...vu(53), 55, ...str('SM'), 0,
+    ...objects,
+  ]);
+}
+
+test('build --schema writes the template and preset XML', async (t) => {
+  const dir = await tempDir(t);
+  await writeFile(path.join(dir, 'schema.json'), JSON.stringify(SCHEMA));
+  await writeFile(path.join(dir, 'graphic.riv'), 'RIVE');
+
+  const res = cli(['build', 'graphic.riv', '--schema', 'schema.json', '--in', 'In', '--out', 'Out', '--xml', '-o', 'out'], dir);
+  assert.equal(res.status, 0, res.stderr);
+
+  const html = await readFile(path.join(dir, 'out', 'caspar-graphic.html'), 'utf8');
+  assert.match(html, /artboard: "Lower Third"/);
+  assert.match(html, /fireVmTrigger\("In"\)/);
+  assert.match(html, /riv: "graphic\.riv"/);
+  const xml = await readFile(path.join(dir, 'out', 'caspar-graphic.xml'), 'utf8');
+  assert.match(xml, /Title/);
+});
+
+test('build --schema --embed --embed-compression gzip embeds the compressed .riv', async (t) => {
+  const dir = await tempDir(t);
+  await writeFile(path.join(dir, 'schema.json'), JSON.stringify(SCHEMA));
+  await writeFile(path.join(dir, 'graphic.riv'), 'RIVE'.repeat(100));
+
+  const res = cli(['build', 'graphic.riv', '--schema', 'schema.json', '--embed', '--embed-compression', 'gzip', '--target', 'obs', '-o', 'out'], dir);
+  assert.equal(res.status, 0, res.stderr);
+
+  const html = await readFile(path.join(dir, 'out', 'obs-graphic.html'), 'utf8');
+  const b64 = /id="riv-b64">([^<]*)</.exec(html)[1];
+  assert.equal(gunzipSync(Buffer.from(b64, 'base64')).toString(), 'RIVE'.repeat(100));
+});
+
+test('build fails on lint errors', async (t) => {
+  const dir = await tempDir(t);
+  await writeFile(path.join(dir, 'schema.json'), JSON.stringify(SCHEMA));
+  await writeFile(path.join(dir, 'graphic.riv'), 'RIVE');
+
+  const res = cli(['build', 'graphic.riv', '--schema', 'schema.json', '--in', 'In', '--out', 'In', '-o', 'out'], dir);
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /both the in and the out trigger/);
+});
+
+let hasRuntime = true;
+try { createRequire(import.meta.url).resolve('@rive-app/canvas-advanced'); } catch { hasRuntime = false; }
+
+test('build reads the artboard and state machine from the .riv', { skip: !hasRuntime && '@rive-app/canvas-advanced not installed' }, async (t) => {
+  const dir = await tempDir(t);
+  await writeFile(path.join(dir, 'inputs.riv'), rivWithInputs([['Visible', 59, true], ['Score', 56, 7], ['Show', 58]]));
+
+  const res = cli(['build', 'inputs.riv', '--in', 'Show', '-o', 'out'], dir);
+  assert.equal(res.status, 0, res.stderr);
+  const html = await readFile(path.join(dir, 'out', 'caspar-inputs.html'), 'utf8');
+  assert.match(html, /artboard: "Main"/);
+  assert.match(html, /sm: "SM"/);
+});
+
+test('build fails when a state machine input name is unsafe', { skip: !hasRuntime && '@rive-app/canvas-advanced not installed' }, async (t) => {
+  const dir = await tempDir(t);
+  await writeFile(path.join(dir, 'bad.riv'), rivWithInputs([['Bad</script>', 58]]));
+
+  const res = cli(['build', 'bad.riv', '-o', 'out'], dir);
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /State machine input "Bad<\/script>"/);
+});
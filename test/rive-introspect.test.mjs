@@ -0,0 +1,52 @@
+// test/rive-introspect.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanRivEvents } from '../js/rive-introspect.mjs';
+
+const vu = (n) => { const o = []; do { let b = n & 0x7f; n = Math.floor(n / 128); if (n) b |= 0x80; o.push(b); } while (n); return o; };
+const str = (s) => { const b = [...Buffer.from(s)]; return [...vu(b.length), ...b]; };
+const f32 = (x) => { const b = Buffer.alloc(4); b.writeFloatLE(x); return [...b]; };
+
+// .riv bytes: toc is [[propertyKey, fieldType], ...] (0 uint, 1 string, 2 double, 3 color);
+// objects are [typeKey, ...property bytes], each closed with a 0
+function riv(toc, objects) {
+  const words = Buffer.alloc(Math.ceil(toc.length / 4) * 4);
+  toc.forEach(([, t], i) => words.writeUInt32LE((words.readUInt32LE((i >> 2) * 4) | (t << ((i & 3) * 2))) >>> 0, (i >> 2) * 4));
+  return new Uint8Array([
+    ...Buffer.from('RIVE'), ...vu(7), ...vu(0), ...vu(0),
+    ...toc.flatMap(([k]) => vu(k)), 0, ...words,
+    ...objects.flatMap(([type, ...props]) => [...vu(type), ...props, 0]),
+  ]);
+}
+
+// Artboard "Main" (name 4, width 7) with a general event, an open-URL event (url 248)
+// and an event carrying property 9999, which the scanner only knows from the ToC
+const TOC = [[4, 1], [7, 2], [248, 1], [9999, 2]];
+const FILE = riv(TOC, [
+  [23],
+  [1, ...vu(4), ...str('Main'), ...vu(7), ...f32(1920)],
+  [128, ...vu(4), ...str('Show')],
+  [131, ...vu(4), ...str('Link'), ...vu(248), ...str('https://example.com')],
+  [128, ...vu(9999), ...f32(2), ...vu(4), ...str('Odd')],
+  [1, ...vu(4), ...str('Empty')],
+]);
+
+test('events are listed per artboard', () => {
+  assert.deepEqual(scanRivEvents(FILE), {
+    Main: [{ name: 'Show', type: 'general' }, { name: 'Link', type: 'openUrl' }, { name: 'Odd', type: 'general' }],
+    Empty: [],
+  });
+  assert.deepEqual(scanRivEvents(FILE.buffer), scanRivEvents(FILE));
+});
+
+test('a property missing from the ToC makes the file unreadable', () => {
+  const bytes = riv([[4, 1]], [[1, ...vu(4), ...str('Main')], [128, ...vu(77), 1, ...vu(4), ...str('Show')]]);
+  assert.equal(scanRivEvents(bytes), null);
+});
+
+test('truncated or foreign files return null without throwing', () => {
+  for (const cut of [0, 3, 8, 14, 30, FILE.length - 1]) {
+    assert.equal(scanRivEvents(FILE.subarray(0, cut)), null, `cut at ${cut}`);
+  }
+  assert.equal(scanRivEvents(Buffer.from('<svg></svg>')), null);
+});
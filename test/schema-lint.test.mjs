@@ -0,0 +1,54 @@
+// test/schema-lint.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintTemplate } from '../js/schema-lint.mjs';
+
+const SCHEMA = {
+  viewModelProps: [
+    { name: 'Title', type: 'string' },
+    { name: 'Score', type: 'number' },
+    { name: 'Live', type: 'boolean' },
+    { name: 'In', type: 'trigger' },
+    { name: 'Out', type: 'trigger' },
+  ],
+};
+const messages = (issues, level) => issues.filter(i => i.level === level).map(i => i.message);
+
+test('a clean template has no issues', () => {
+  assert.deepEqual(lintTemplate(SCHEMA, { casparTriggers: { in: 'In', out: 'Out' } }), []);
+});
+
+test('alias formatting on non-string props is a warning', () => {
+  const issues = lintTemplate(SCHEMA, { fieldAliases: [
+    { alias: 'f0', prop: 'Title', case: 'upper', decimals: 2, thousands: ',', prefix: '$' },
+    { alias: 'f1', prop: 'Score', decimals: 2, thousands: ',', suffix: ' pts' },
+    { alias: 'f2', prop: 'Live', case: 'upper', decimals: 0 },
+  ] });
+  const warnings = messages(issues, 'warning');
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /"f1".*thousands, suffix.*number/);
+  assert.match(warnings[1], /"f2".*decimals, case.*boolean/);
+});
+
+test('unsafe names are errors wherever they end up in the template', () => {
+  const schema = { ...SCHEMA, stateMachineInputs: [{ name: 'Go</script>', type: 'trigger' }] };
+  const issues = lintTemplate(schema, {
+    fieldAliases: [{ alias: 'f"0', prop: 'Title' }, { alias: 'f1', prop: 'Sub\ntitle' }],
+    casparTriggers: { in: 'Go</script>', out: 'Out', next: 'Next\\' },
+  });
+  const errors = messages(issues, 'error');
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /State machine input "Go<\/script>"/);
+  assert.match(errors[1], /Alias "f\\"0"/);
+  assert.match(errors[2], /Alias target "Sub\\ntitle"/);
+  assert.match(errors[3], /next trigger "Next\\\\"/);
+});
+
+test('inlining with only one runtime file picked is an error', () => {
+  const lint = (runtimeFiles, runtimeSource = 'inline') => messages(lintTemplate(SCHEMA, { runtimeSource, runtimeFiles }), 'error');
+  assert.match(lint({ js: true, wasm: false })[0], /rive\.wasm is missing/);
+  assert.match(lint({ js: false, wasm: true })[0], /rive\.js is missing/);
+  assert.deepEqual(lint({ js: true, wasm: true }), []);
+  assert.deepEqual(lint({ js: false, wasm: false }), []);
+  assert.deepEqual(lint({ js: true, wasm: false }, 'cdn'), []);
+});
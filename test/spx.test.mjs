@@ -0,0 +1,69 @@
+// test/spx.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSpxDefinition, buildTemplate } from '../js/template-builders.mjs';
+
+const SCHEMA = {
+  artboard: 'Lower Third',
+  viewModelProps: [
+    { name: 'Title', type: 'string', value: 'Hello' },
+    { name: 'Score', type: 'number', value: 3 },
+    { name: 'Live', type: 'boolean', value: true },
+    { name: 'Side', type: 'enum', value: 'Left', options: ['Left', 'Right'] },
+    { name: 'Accent', type: 'color', value: 0xFFFF8000 },
+    { name: 'Logo', type: 'image', value: null },
+    { name: 'Items', type: 'list', value: 2 },
+    { name: 'In', type: 'trigger' },
+  ],
+};
+const byField = (def) => Object.fromEntries(def.DataFields.map(f => [f.field, f]));
+
+test('field types follow the ViewModel prop types', () => {
+  const f = byField(buildSpxDefinition(SCHEMA, { spx: { assetFolder: './logos/', imageExtension: 'webp' } }));
+  assert.deepEqual(Object.keys(f), ['Title', 'Score', 'Live', 'Side', 'Accent', 'Logo']);
+  assert.deepEqual(f.Title, { field: 'Title', ftype: 'textfield', title: 'Title', value: 'Hello' });
+  assert.deepEqual(f.Score, { field: 'Score', ftype: 'textfield', title: 'Score', value: '3' });
+  assert.equal(f.Live.ftype, 'dropdown');
+  assert.deepEqual(f.Live.items, [{ text: 'Yes', value: 'true' }, { text: 'No', value: 'false' }]);
+  assert.equal(f.Live.value, 'true');
+  assert.equal(f.Side.ftype, 'dropdown');
+  assert.deepEqual(f.Side.items, [{ text: 'Left', value: 'Left' }, { text: 'Right', value: 'Right' }]);
+  assert.equal(f.Side.value, 'Left');
+  assert.deepEqual(f.Accent, { field: 'Accent', ftype: 'color', title: 'Accent', value: '#ff8000' });
+  assert.deepEqual(f.Logo, { field: 'Logo', ftype: 'filelist', title: 'Logo', value: '', assetfolder: './logos/', extension: 'webp' });
+});
+
+test('aliases replace the prop name as the field id', () => {
+  const def = buildSpxDefinition(SCHEMA, { fieldAliases: [{ alias: 'f0', prop: 'Title' }, { alias: 'f9', prop: 'Title' }, { alias: 'f1', prop: 'Score' }] });
+  const f = byField(def);
+  assert.equal(f.f0.title, 'Title');
+  assert.equal(f.f1.title, 'Score');
+  assert.equal(f.Title, undefined);
+  assert.equal(f.f9, undefined);
+});
+
+test('steps: explicit, from the next trigger, else one', () => {
+  const steps = (opts) => buildSpxDefinition(SCHEMA, opts).steps;
+  assert.equal(steps({}), '1');
+  assert.equal(steps({ pages: { transition: 'trigger', trigger: 'In' } }), '1');
+  assert.equal(steps({ casparTriggers: { in: 'In', next: 'In' } }), '2');
+  assert.equal(steps({ casparTriggers: { next: 'In' }, spx: { steps: 4 } }), '4');
+  assert.equal(steps({ pages: { transition: 'none' }, spx: { steps: 3 } }), '3');
+});
+
+test('playout settings and defaults', () => {
+  const def = buildSpxDefinition(SCHEMA, { spx: { playlayer: '7', out: 'none' } });
+  assert.equal(def.description, 'Lower Third');
+  assert.equal(def.playserver, 'OVERLAY');
+  assert.equal(def.playlayer, '7');
+  assert.equal(def.webplayout, '7');
+  assert.equal(def.out, 'none');
+  assert.equal(def.dataformat, 'json');
+});
+
+test('the spx target embeds the definition as plain JSON', () => {
+  const html = buildTemplate({ ...SCHEMA, viewModelProps: [{ name: 'Title', type: 'string', value: '</script>' }] }, { target: 'spx', riv: 'a.riv' });
+  const json = /window\.SPXGCTemplateDefinition = ([\s\S]*?);\n<\/script>/.exec(html)[1];
+  assert.equal(JSON.parse(json).DataFields[0].value, '</script>');
+  assert.doesNotMatch(buildTemplate(SCHEMA, { target: 'caspar', riv: 'a.riv' }), /SPXGCTemplateDefinition =/);
+});
@@ -0,0 +1,102 @@
+// test/template-runtime.test.mjs
+// Behaviour of the generated template script, run in a vm (see helpers/template-harness.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runTemplate } from './helpers/template-harness.mjs';
+
+const SCHEMA = {
+  viewModelProps: [
+    { name: 'Name', type: 'string' },
+    { name: 'In', type: 'trigger' },
+    { name: 'Out', type: 'trigger' },
+    { name: 'Next', type: 'trigger' },
+  ],
+};
+const SPEC = { Name: ['string', ''], In: ['trigger'], Out: ['trigger'], Next: ['trigger'] };
+const TRIGGERS = { in: 'In', out: 'Out', next: 'Next' };
+
+test('NEXT steps through _pages', () => {
+  const t = runTemplate(SCHEMA, { casparTriggers: TRIGGERS, pages: { transition: 'none' } }, SPEC);
+  t.flush();
+  t.window.update(JSON.stringify({ _pages: [{ Name: 'A' }, { Name: 'B' }] }));
+  t.window.play();
+  t.log.length = 0;
+  t.window.next();
+  assert.ok(t.log.includes('Name="B"'));
+  assert.ok(!t.log.includes('fire Next'));
+});
+
+test('an UPDATE without _pages ends the rundown', () => {
+  const t = runTemplate(SCHEMA, { casparTriggers: TRIGGERS, pages: { transition: 'none' } }, SPEC);
+  t.flush();
+  t.window.update(JSON.stringify({ _pages: [{ Name: 'A' }, { Name: 'B' }] }));
+  t.window.play();
+  t.window.update(JSON.stringify({ Name: 'Solo' }));
+  t.log.length = 0;
+  t.window.next();
+  assert.deepEqual(t.log, ['fire Next']);
+});
+
+const IMAGE_SCHEMA = { viewModelProps: [...SCHEMA.viewModelProps, { name: 'Logo', type: 'image' }] };
+const IMAGE_SPEC = { ...SPEC, Logo: ['image', null] };
+
+test('PLAY waits for images still loading before firing the in trigger', async () => {
+  const t = runTemplate(IMAGE_SCHEMA, { casparTriggers: TRIGGERS }, IMAGE_SPEC);
+  t.flush();
+  t.window.update(JSON.stringify({ Name: 'A', Logo: 'logos/a.png' }));
+  t.window.play();
+  assert.ok(!t.log.includes('fire In'));
+  await t.respond();
+  const logoSet = t.log.findIndex(l => l.startsWith('Logo='));
+  assert.ok(logoSet >= 0);
+  assert.ok(t.log.indexOf('fire In') > logoSet);
+});
+
+test('file images are read again on the next UPDATE, URLs come from the cache', async () => {
+  const t = runTemplate(IMAGE_SCHEMA, { casparTriggers: TRIGGERS }, IMAGE_SPEC);
+  t.flush();
+  const gets = () => t.log.filter(l => l.startsWith('GET '));
+  for (const src of ['C:\\gfx\\logo.png', 'https://cdn.example/logo.png']) {
+    t.log.length = 0;
+    t.window.update(JSON.stringify({ Logo: src }));
+    await t.respond();
+    t.window.update(JSON.stringify({ Logo: src }));
+    await t.respond();
+    assert.equal(gets().length, src.startsWith('C:') ? 2 : 1, src);
+  }
+  assert.deepEqual(gets(), ['GET https://cdn.example/logo.png']);
+});
+
+test('blank number defaults are not baked as 0', () => {
+  const schema = { viewModelProps: [{ name: 'Score', type: 'number', value: 5 }, { name: 'Lap', type: 'number', value: 1 }] };
+  const t = runTemplate(schema, { vmDefaults: { Score: '', Lap: '3' } }, { Score: ['number', 5], Lap: ['number', 1] });
+  t.flush();
+  assert.ok(t.log.includes('Lap=3'));
+  assert.ok(!t.log.some(l => l.startsWith('Score=')));
+});
+
+test('OBS drive=visible plays a source that is already showing at load', () => {
+  const opts = { target: 'obs', casparTriggers: TRIGGERS, obs: { drive: 'visible' } };
+  const shown = runTemplate(SCHEMA, opts, SPEC);
+  shown.flush();
+  assert.ok(shown.log.includes('fire In'));
+
+  const hidden = runTemplate(SCHEMA, opts, SPEC, { visibilityState: 'hidden' });
+  hidden.flush();
+  assert.ok(!hidden.log.includes('fire In'));
+  hidden.emit('obsSourceVisibleChanged', { visible: true });
+  hidden.flush();
+  assert.ok(hidden.log.includes('fire In'));
+  hidden.emit('obsSourceVisibleChanged', { visible: false });
+  hidden.flush();
+  assert.ok(hidden.log.includes('fire Out'));
+});
+
+test('OBS drive=active waits for the active event', () => {
+  const t = runTemplate(SCHEMA, { target: 'obs', casparTriggers: TRIGGERS, obs: { drive: 'active' } }, SPEC);
+  t.flush();
+  assert.ok(!t.log.includes('fire In'));
+  t.emit('obsSourceActiveChanged', { active: true });
+  t.flush();
+  assert.ok(t.log.includes('fire In'));
+});